@@ -24,6 +24,8 @@ const BeaconMesh = (function() {
         iceGatheringTimeout: 10000,      // Max time to wait for ICE gathering
         forceGenerateDelay: 5000,        // Time before showing "Force Generate" button
         connectionTimeout: 30000,         // Max time to wait for connection
+        reconnectGracePeriod: 5000,      // Time ICE gets to recover on its own per attempt
+        maxReconnectAttempts: 3,         // ICE restarts before falling back to re-scanning
         
         // QR Code settings
         qrCodeSize: 280,
@@ -31,160 +33,317 @@ const BeaconMesh = (function() {
         
         // Message settings
         maxMessageLength: 1000,
+        autoLink: true,                  // Turn URLs, phone numbers and locations into links
+        
+        // Message action settings
+        maxPendingMessageOps: 100,       // Messages whose edits/reactions can wait for them to arrive
+        maxPendingOpsPerMessage: 30,     // Payloads held for each of those messages
+        
+        // Typing settings
+        typingThrottle: 3000,            // Min time between "typing" sends while typing
+        typingIdleTimeout: 4000,         // Input idle time before sending "stopped typing"
+        typingExpiry: 6000,              // Hide a peer's indicator if no update arrives (lost stop)
+        
+        // Heartbeat settings
+        heartbeatInterval: 2000,         // Time between pings on each link
+        heartbeatTimeout: 7000,          // Silence after which a link counts as dead
+        leaveAckTimeout: 1500,           // Max wait for neighbours to confirm we're leaving
+        signalThresholds: [150, 400, 1000], // RTT (ms) upper bounds for 4, 3 and 2 bars
         
         // Data channel settings
         dataChannelName: 'beaconmesh-v2',
+        defaultMaxMessageSize: 65536,    // RFC 8841 default when the peer didn't state one
+        
+        // File transfer settings
+        maxFileSize: 25 * 1024 * 1024,   // Largest file we send or accept
+        fileChunkSize: 16384,            // Preferred chunk size, capped by the peer's max message size
+        fileBufferHigh: 1024 * 1024,     // Pause sending above this much buffered data
+        fileBufferLow: 256 * 1024,       // Resume once the buffer drains below this
+        
+        // Voice note settings
+        voiceBitrate: 24000,             // Opus bitrate; plenty for speech
+        maxVoiceNoteDuration: 120000,    // Recording stops by itself after this long
+        minVoiceNoteDuration: 500,       // Shorter presses count as accidental
+        voiceSampleInterval: 50,         // Time between level samples for the waveform
+        voiceWaveformBars: 40,           // Bars drawn for each voice note
+        
+        // Location settings
+        locationTimeout: 15000,          // Max wait for a position fix
+        liveLocationDuration: 15 * 60 * 1000, // How long a live share keeps updating
+        liveLocationInterval: 10000,     // Min time between live updates
+        
+        // SOS settings
+        sosVibrationPattern: [500, 200, 500, 200, 500], // Repeats until the alert is acknowledged
+        sosVibrationInterval: 2500,
+        
+        // Call settings
+        callRingTimeout: 45000,          // Stop ringing peers that haven't answered
+        
+        // Verification settings
+        sasLength: 5,                    // Symbols in a link's security code (6 bits each)
+        
+        // Identity settings
+        databaseName: 'beaconmesh',      // IndexedDB database for the identity key and contacts
+        maxDisplayNameLength: 40,
+        
+        // Encryption settings
+        endToEndEncryption: true,        // Encrypt message text so relays can't read it
+        senderKeyRotation: 100,          // Messages sent before starting a new sender key
+        maxSkippedMessageKeys: 50,       // Message keys kept for messages that arrive out of order
+        maxPendingEncrypted: 50,         // Payloads per node held back until its keys arrive
+        
+        // History settings (nothing is stored until history is enabled)
+        historyIterations: 310000,       // PBKDF2-SHA-256 rounds turning the passphrase into a key
+        minPassphraseLength: 8,
         
         // Compression settings
         useCompression: true,
-        maxCandidates: 4                 // Limit ICE candidates to keep QR small
+        signalVersion: BeaconCodec.VERSION, // Codec version for offers (answers follow the offer)
+        maxCandidates: 4,                // Limit ICE candidates to keep QR small
+        
+        // Trickle ICE settings
+        trickleICE: true,                // Show the QR early and send later candidates over the mesh
+        trickleInitialCandidates: 2,     // Candidates to wait for before showing the QR
+        candidateRoundDelay: 8000,       // Time to connect before offering a second QR round
+        
+        // Multi-frame QR settings
+        multiFrameQR: true,              // Cycle through numbered QR frames for large payloads
+        qrFrameCapacity: 300,            // Max characters carried by a single frame
+        qrFrameInterval: 500,            // Time each frame stays on screen
+        multiFrameMaxCandidates: 12,     // Candidate limit when frames are enabled
+        
+        // Mesh settings
+        peerAssistedSignaling: true,     // Open direct links to peers met through the mesh
+        messageTTL: 8,                   // Max hops a routed payload travels
+        seenMessageLimit: 500,           // Routed payload ids remembered for deduplication
+        receiptHistoryLimit: 200         // Sent messages tracked for receipts and resends
     };
 
     // ==================== STATE ====================
     let state = {
-        peerConnection: null,
-        dataChannel: null,
+        localId: null,              // This device's node id in the mesh
+        sessionId: null,            // Shared by every node in the mesh, kept across re-scans
+        awaitingResume: false,      // Every link was lost; the chat waits for a re-scan
+        peers: new Map(),           // Link id -> peer, see createPeer()
+        pendingPeer: null,          // Peer currently being paired on the host/join screen
+        neighborRosters: new Map(), // Neighbour node id -> node ids it links to directly
+        introductions: new Map(),   // Node id -> time we last offered it a direct link
+        seenMessages: new Map(),    // Routed payload id -> time first seen
+        sentMessages: new Map(),    // Message id -> receipt tracking, see trackSentMessage()
+        unreadReceipts: new Map(),  // Origin node id -> ids delivered but not yet read
+        outbox: [],                 // Composed messages waiting for a usable link, oldest first
+        pendingLeave: null,         // { waiting, resolve } while leaveMesh() waits for acks
+        outgoingFiles: new Map(),   // File id -> transfer we're sending, see sendFile()
+        incomingFiles: new Map(),   // File id -> transfer we're receiving, see handleFileOffer()
+        voiceRecording: null,       // Voice note being recorded, see startVoiceNote()
+        location: { own: null, heading: null, watchId: null, tracking: false, compass: false, live: null }, // See LOCATION
+        alerts: { queue: [], alarm: null }, // SOS message ids waiting for acknowledgment, see raiseAlert()
+        call: null,                 // Our side of a call, see startCall()
+        database: null,             // Promise of the IndexedDB connection, see openDatabase()
+        identity: null,             // This device's signing key and name, see loadIdentity()
+        contacts: new Map(),        // Identity key id -> contact, kept across sessions
+        nodeContacts: new Map(),    // Node id -> identity key id it proved this session
+        keyChangeWarning: null,     // Key id of the contact behind the shown key change warning
+        e2e: createEncryptionState(CONFIG.endToEndEncryption), // See END-TO-END ENCRYPTION
+        history: { settings: null, key: null, openSession: null, peerFilter: '', peerNames: [], sessionIds: [] }, // See MESSAGE HISTORY
+        messages: new Map(),        // Message id -> model for edits and reactions, see registerMessage()
+        pendingMessageOps: new Map(), // Message id -> edits, deletions and reactions that arrived first
+        compose: null,              // { mode: 'reply' | 'edit', id } for the message input
+        autoLink: CONFIG.autoLink,  // Saved preference, see loadPreferences()
+        typing: { sentAt: 0, idleTimer: null, nodes: new Map() }, // Our last typing send; node id -> expiry timer
+        presence: new Map(),        // Node id -> 'active' or 'away', as it last announced
+        pendingUpdate: null,        // Service worker holding a newer cached version
+        applyingUpdate: false,      // Reload once the new version takes over
+        relayedCount: 0,
+        nextSlot: 1,
         hostScanner: null,
         joinScanner: null,
-        localSDP: '',
         isHost: false,
         connectionStartTime: null,
         pendingPermissionCallback: null,
-        iceCandidates: [],
-        iceGatheringComplete: false,
         forceGenerateTimeout: null,
-        connectionCheckInterval: null
+        connectionCheckInterval: null,
+        heartbeatInterval: null,
+        qrAnimations: {},
+        frameAssemblies: {}
     };
 
     // ==================== UTILITY FUNCTIONS ====================
     
     /**
      * Compress SDP using aggressive optimization
-     * Strips everything except essential fields and compresses with pako
+     * Strips everything except essential fields and packs them with BeaconCodec
+     */
+    function compressSDP(sdp, type, version = CONFIG.signalVersion) {
+        return BeaconCodec.encode(extractSignal(sdp, type), {
+            version: version,
+            compress: CONFIG.useCompression
+        });
+    }
+
+    /**
+     * Extract the essential connection data from a full SDP
      */
-    function compressSDP(sdp) {
+    function extractSignal(sdp, type) {
         const lines = sdp.split('\r\n');
         
-        // Extract only essential data
-        const essential = {
-            v: 2,  // Protocol version
-            u: '', // ice-ufrag
-            p: '', // ice-pwd
-            f: '', // fingerprint
-            s: '', // setup
-            c: []  // candidates (limited)
+        const signal = {
+            type: type,
+            ufrag: '',
+            pwd: '',
+            fingerprint: null,
+            setup: null,
+            sctpPort: null,
+            maxMessageSize: null,
+            candidates: []
         };
         
-        let candidateCount = 0;
-        
         for (const line of lines) {
             if (line.startsWith('a=ice-ufrag:')) {
-                essential.u = line.substring(12);
+                signal.ufrag = line.substring(12);
             } else if (line.startsWith('a=ice-pwd:')) {
-                essential.p = line.substring(10);
+                signal.pwd = line.substring(10);
             } else if (line.startsWith('a=fingerprint:')) {
-                // Store fingerprint in shorter format
-                const fp = line.substring(14);
-                const [algo, hash] = fp.split(' ');
-                // Only store hash, assume SHA-256
-                essential.f = hash.replace(/:/g, '');
+                const [algorithm, hash] = line.substring(14).split(' ');
+                signal.fingerprint = { algorithm: algorithm.toLowerCase(), hash: hash.toUpperCase() };
             } else if (line.startsWith('a=setup:')) {
-                essential.s = line.substring(8)[0]; // Just first char: a/p/h
-            } else if (line.startsWith('a=candidate:') && candidateCount < CONFIG.maxCandidates) {
-                // Parse and compress candidate
-                const compressed = compressCandidate(line);
-                if (compressed) {
-                    essential.c.push(compressed);
-                    candidateCount++;
+                signal.setup = line.substring(8);
+            } else if (line.startsWith('a=sctp-port:')) {
+                signal.sctpPort = parseInt(line.substring(12), 10);
+            } else if (line.startsWith('a=max-message-size:')) {
+                signal.maxMessageSize = parseInt(line.substring(19), 10);
+            } else if (line.startsWith('a=candidate:') && signal.candidates.length < getCandidateLimit()) {
+                const candidate = parseCandidate(line);
+                if (candidate) {
+                    signal.candidates.push(candidate);
                 }
             }
         }
         
-        // JSON stringify and compress
-        const json = JSON.stringify(essential);
-        
-        if (CONFIG.useCompression && typeof pako !== 'undefined') {
-            try {
-                const compressed = pako.deflate(json);
-                const base64 = btoa(String.fromCharCode.apply(null, compressed));
-                return 'Z' + base64; // 'Z' prefix indicates zlib compression
-            } catch (e) {
-                console.warn('Compression failed, using plain base64:', e);
-            }
-        }
-        
-        return 'B' + btoa(json); // 'B' prefix indicates plain base64
+        return signal;
     }
 
     /**
-     * Compress a single ICE candidate line
+     * Parse a single ICE candidate line
      */
-    function compressCandidate(candidateLine) {
-        // Format: a=candidate:foundation component transport priority ip port type ...
+    function parseCandidate(candidateLine) {
+        // Format: a=candidate:foundation component transport priority ip port typ type ...
         const match = candidateLine.match(/a=candidate:(\S+)\s+(\d+)\s+(\S+)\s+(\d+)\s+(\S+)\s+(\d+)\s+typ\s+(\S+)/);
         
         if (!match) return null;
         
         const [, foundation, component, transport, priority, ip, port, type] = match;
         
-        // Only keep host and srflx candidates
-        if (type !== 'host' && type !== 'srflx') return null;
+        // Only keep host and srflx candidates, unless frames give us room for relays
+        const allowedTypes = CONFIG.multiFrameQR ? ['host', 'srflx', 'prflx', 'relay'] : ['host', 'srflx'];
+        if (!allowedTypes.includes(type)) return null;
+        
+        const candidate = {
+            foundation: foundation,
+            component: parseInt(component, 10),
+            transport: transport.toLowerCase(),
+            priority: parseInt(priority, 10),
+            address: ip,
+            port: parseInt(port, 10),
+            type: type
+        };
+        
+        // Optional attributes after the type come as "name value" pairs
+        const extras = candidateLine.substring(match[0].length).trim().split(/\s+/);
+        for (let i = 0; i + 1 < extras.length; i += 2) {
+            const value = extras[i + 1];
+            switch (extras[i]) {
+                case 'raddr': candidate.relatedAddress = value; break;
+                case 'rport': candidate.relatedPort = parseInt(value, 10); break;
+                case 'tcptype': candidate.tcpType = value; break;
+                case 'generation': candidate.generation = parseInt(value, 10); break;
+                case 'network-id': candidate.networkId = parseInt(value, 10); break;
+                case 'network-cost': candidate.networkCost = parseInt(value, 10); break;
+            }
+        }
         
-        // Super compressed format
-        return [
-            foundation.substring(0, 8), // Truncate foundation
-            ip,
-            port,
-            type[0] // h for host, s for srflx
-        ].join('|');
+        return candidate;
     }
 
     /**
-     * Decompress SDP back to full format
+     * Max ICE candidates to carry in a signal
+     * Multi-frame QR lifts the single-code size limit
      */
-    function decompressSDP(compressed, type) {
+    function getCandidateLimit() {
+        return CONFIG.multiFrameQR ? CONFIG.multiFrameMaxCandidates : CONFIG.maxCandidates;
+    }
+
+    /**
+     * Candidates to wait for before the QR is shown
+     */
+    function getInitialCandidateTarget() {
+        return CONFIG.trickleICE
+            ? Math.min(CONFIG.trickleInitialCandidates, getCandidateLimit())
+            : getCandidateLimit();
+    }
+
+    /**
+     * Identify a candidate by transport, address and port
+     */
+    function candidateKey(candidate) {
+        return `${candidate.transport} ${candidate.address} ${candidate.port}`.toLowerCase();
+    }
+
+    /**
+     * Decode a scanned signal, checking it is the type this screen expects
+     * Throws BeaconCodec.CodecError describing what went wrong
+     */
+    function decodeSignal(compressed, type) {
         try {
-            let json;
-            
-            if (compressed.startsWith('Z')) {
-                // Zlib compressed
-                const base64 = compressed.substring(1);
-                const binary = atob(base64);
-                const bytes = new Uint8Array(binary.length);
-                for (let i = 0; i < binary.length; i++) {
-                    bytes[i] = binary.charCodeAt(i);
-                }
-                json = pako.inflate(bytes, { to: 'string' });
-            } else if (compressed.startsWith('B')) {
-                // Plain base64
-                json = atob(compressed.substring(1));
-            } else {
-                // Legacy format or raw data
-                json = atob(compressed);
-            }
-            
-            const data = JSON.parse(json);
-            
-            // Reconstruct full SDP
-            return reconstructFullSDP(data, type);
-            
+            return BeaconCodec.decode(compressed, { expectedType: type });
         } catch (e) {
             console.error('Decompression error:', e);
-            throw new Error('Invalid QR code data');
+            if (e instanceof BeaconCodec.CodecError) throw e;
+            throw new BeaconCodec.CodecError(BeaconCodec.ErrorCodes.CORRUPTED, 'Invalid QR code data');
         }
     }
 
     /**
-     * Reconstruct full SDP from compressed data
+     * Turn a signal decoding failure into a user-facing title and message
      */
-    function reconstructFullSDP(data, type) {
-        // Restore fingerprint
-        const fingerprintHex = data.f;
-        const fingerprintFormatted = fingerprintHex.match(/.{2}/g).join(':').toUpperCase();
+    function describeSignalError(error) {
+        const codes = BeaconCodec.ErrorCodes;
         
-        // Restore setup value
-        const setupMap = { 'a': 'actpass', 'p': 'passive', 'h': 'active' };
-        const setup = setupMap[data.s] || 'actpass';
+        switch (error && error.code) {
+            case codes.VERSION:
+                return {
+                    title: 'Unsupported Version',
+                    message: error.version > BeaconCodec.VERSION
+                        ? `Code uses signal v${error.version}. Update BeaconMesh on this device.`
+                        : `Code uses unknown signal v${error.version}.`
+                };
+            case codes.TRUNCATED:
+                return {
+                    title: 'Incomplete Code',
+                    message: 'Only part of the code was read. Hold steady and scan again.'
+                };
+            case codes.TYPE_MISMATCH:
+                return error.actual === 'offer'
+                    ? { title: 'Wrong Code', message: "That is another host's beacon. Scan your peer's answer code." }
+                    : { title: 'Wrong Code', message: "That is an answer code. Scan the host's beacon instead." };
+            case codes.CORRUPTED:
+                return {
+                    title: 'Corrupted Code',
+                    message: error.message || 'The code failed its integrity check. Scan again.'
+                };
+            default:
+                return {
+                    title: 'Invalid Code',
+                    message: 'Please try scanning again'
+                };
+        }
+    }
+
+    /**
+     * Reconstruct full SDP from a decoded signal
+     */
+    function reconstructFullSDP(signal, type) {
+        const setup = signal.setup || (type === 'offer' ? 'actpass' : 'active');
         
         // Build SDP
         let sdp = [
@@ -198,29 +357,54 @@ const BeaconMesh = (function() {
             'm=application 9 UDP/DTLS/SCTP webrtc-datachannel',
             'c=IN IP4 0.0.0.0',
             'a=ice-options:trickle',
-            `a=ice-ufrag:${data.u}`,
-            `a=ice-pwd:${data.p}`,
-            `a=fingerprint:sha-256 ${fingerprintFormatted}`,
-            `a=setup:${type === 'offer' ? 'actpass' : 'active'}`,
+            `a=ice-ufrag:${signal.ufrag}`,
+            `a=ice-pwd:${signal.pwd}`,
+            `a=fingerprint:${signal.fingerprint.algorithm} ${signal.fingerprint.hash}`,
+            `a=setup:${setup}`,
             'a=mid:0',
-            'a=sctp-port:5000',
-            'a=max-message-size:262144'
+            `a=sctp-port:${signal.sctpPort || 5000}`
         ];
         
+        // Without it the browser falls back to the RFC 8841 default
+        if (signal.maxMessageSize != null) {
+            sdp.push(`a=max-message-size:${signal.maxMessageSize}`);
+        }
+        
         // Add candidates
-        if (data.c && data.c.length > 0) {
-            for (const candidate of data.c) {
-                const [foundation, ip, port, typeChar] = candidate.split('|');
-                const candidateType = typeChar === 'h' ? 'host' : 'srflx';
-                const priority = candidateType === 'host' ? 2130706431 : 1694498815;
-                
-                sdp.push(`a=candidate:${foundation} 1 udp ${priority} ${ip} ${port} typ ${candidateType}`);
-            }
+        for (const candidate of signal.candidates) {
+            sdp.push('a=' + formatCandidate(candidate));
         }
         
         return sdp.join('\r\n') + '\r\n';
     }
 
+    /**
+     * Format a candidate object as an SDP candidate attribute (without "a=")
+     * Missing priorities are derived like browsers do (RFC 8445 type preferences)
+     */
+    function formatCandidate(candidate) {
+        const typePreferences = { host: 126, prflx: 110, srflx: 100, relay: 0 };
+        const component = candidate.component || 1;
+        const priority = candidate.priority != null
+            ? candidate.priority
+            : (typePreferences[candidate.type] || 0) * 2 ** 24 +
+              (candidate.transport === 'tcp' ? 32767 : 65535) * 2 ** 8 +
+              (256 - component);
+        
+        let line = `candidate:${candidate.foundation} ${component} ${candidate.transport || 'udp'} ` +
+            `${priority} ${candidate.address} ${candidate.port} typ ${candidate.type}`;
+        
+        if (candidate.relatedAddress) {
+            line += ` raddr ${candidate.relatedAddress} rport ${candidate.relatedPort || 0}`;
+        }
+        if (candidate.tcpType) line += ` tcptype ${candidate.tcpType}`;
+        if (candidate.generation != null) line += ` generation ${candidate.generation}`;
+        if (candidate.networkId != null) line += ` network-id ${candidate.networkId}`;
+        if (candidate.networkCost != null) line += ` network-cost ${candidate.networkCost}`;
+        
+        return line;
+    }
+
     /**
      * Generate QR Code
      */
@@ -229,14 +413,7 @@ const BeaconMesh = (function() {
         element.innerHTML = '';
         
         try {
-            new QRCode(element, {
-                text: data,
-                width: CONFIG.qrCodeSize,
-                height: CONFIG.qrCodeSize,
-                colorDark: '#000000',
-                colorLight: '#ffffff',
-                correctLevel: QRCode.CorrectLevel[CONFIG.qrCodeErrorCorrection]
-            });
+            renderQRCode(element, data);
             return true;
         } catch (e) {
             console.error('QR generation failed:', e);
@@ -245,6 +422,27 @@ const BeaconMesh = (function() {
         }
     }
 
+    /**
+     * Render a single QR code into an element
+     */
+    function renderQRCode(element, text) {
+        return new QRCode(element, {
+            text: text,
+            width: CONFIG.qrCodeSize,
+            height: CONFIG.qrCodeSize,
+            colorDark: '#000000',
+            colorLight: '#ffffff',
+            correctLevel: QRCode.CorrectLevel[CONFIG.qrCodeErrorCorrection]
+        });
+    }
+
+    /**
+     * CRC-32 checksum of a string, as 8 hex chars
+     */
+    function crc32Hex(text) {
+        return BeaconCodec.crc32(text).toString(16).padStart(8, '0');
+    }
+
     /**
      * Update progress indicators
      */
@@ -258,6 +456,168 @@ const BeaconMesh = (function() {
         if (subStatusEl) subStatusEl.textContent = subStatus;
     }
 
+    /**
+     * Show why the last scanned code was rejected
+     */
+    function showScanError(prefix, message) {
+        const errorEl = document.getElementById(`${prefix}ScanError`);
+        if (errorEl) {
+            errorEl.textContent = message;
+            errorEl.classList.remove('hidden');
+        }
+    }
+
+    function clearScanError(prefix) {
+        const errorEl = document.getElementById(`${prefix}ScanError`);
+        if (errorEl) {
+            errorEl.textContent = '';
+            errorEl.classList.add('hidden');
+        }
+    }
+
+    // ==================== MULTI-FRAME QR ====================
+    
+    /**
+     * Split a signal into numbered, checksummed QR frames
+     * Frame format: F<set id>.<index>.<total>.<crc32 of chunk>:<chunk>
+     */
+    function splitIntoFrames(data) {
+        const capacity = CONFIG.qrFrameCapacity;
+        const total = Math.ceil(data.length / capacity);
+        const setId = Math.random().toString(36).substring(2, 6);
+        const frames = [];
+        
+        for (let i = 0; i < total; i++) {
+            const chunk = data.substring(i * capacity, (i + 1) * capacity);
+            frames.push(`F${setId}.${i + 1}.${total}.${crc32Hex(chunk)}:${chunk}`);
+        }
+        
+        return frames;
+    }
+
+    /**
+     * Parse a scanned frame, returning null if it is not a valid frame
+     */
+    function parseFrame(text) {
+        const match = text.match(/^F([a-z0-9]+)\.(\d+)\.(\d+)\.([0-9a-f]{8}):(.+)$/);
+        if (!match) return null;
+        
+        const [, setId, index, total, crc, chunk] = match;
+        
+        // Reject frames that were only partially read
+        if (crc32Hex(chunk) !== crc) return null;
+        
+        return { setId, index: parseInt(index, 10), total: parseInt(total, 10), chunk };
+    }
+
+    /**
+     * Collect a scanned frame for a scanner
+     * Frames may arrive in any order; returns the full signal once every frame is in
+     */
+    function collectFrame(elementId, frame) {
+        let assembly = state.frameAssemblies[elementId];
+        
+        // A new frame set (e.g. a regenerated offer) replaces the old one
+        if (!assembly || assembly.setId !== frame.setId || assembly.total !== frame.total) {
+            assembly = { setId: frame.setId, total: frame.total, chunks: new Map(), done: false };
+            state.frameAssemblies[elementId] = assembly;
+        }
+        
+        if (assembly.done || frame.index < 1 || frame.index > frame.total) return null;
+        
+        assembly.chunks.set(frame.index, frame.chunk);
+        updateFrameProgress(elementId, assembly.chunks.size, assembly.total);
+        
+        if (assembly.chunks.size < assembly.total) return null;
+        
+        assembly.done = true;
+        let data = '';
+        for (let i = 1; i <= assembly.total; i++) {
+            data += assembly.chunks.get(i);
+        }
+        return data;
+    }
+
+    function updateFrameProgress(elementId, received, total) {
+        const progressEl = document.getElementById(`${elementId}Progress`);
+        if (!progressEl) return;
+        
+        progressEl.textContent = `Frames ${received}/${total} received`;
+        progressEl.classList.remove('hidden');
+        progressEl.classList.toggle('text-neon', received === total);
+    }
+
+    function resetFrameProgress(elementId) {
+        delete state.frameAssemblies[elementId];
+        const progressEl = document.getElementById(`${elementId}Progress`);
+        if (progressEl) {
+            progressEl.textContent = '';
+            progressEl.classList.add('hidden');
+            progressEl.classList.remove('text-neon');
+        }
+    }
+
+    /**
+     * Show a signal as a single QR code, or as animated frames if it is too large
+     */
+    function showSignalQR(prefix, data) {
+        stopQRAnimation(prefix);
+        
+        const frameStat = document.getElementById(`${prefix}QRFrameStat`);
+        
+        if (!CONFIG.multiFrameQR || data.length <= CONFIG.qrFrameCapacity) {
+            frameStat?.classList.add('hidden');
+            return generateQRCode(`${prefix}QRCode`, data);
+        }
+        
+        const frames = splitIntoFrames(data);
+        const element = document.getElementById(`${prefix}QRCode`);
+        element.innerHTML = '';
+        
+        try {
+            frames.forEach((frame, i) => {
+                const frameEl = document.createElement('div');
+                frameEl.className = i === 0 ? 'qr-frame' : 'qr-frame hidden';
+                element.appendChild(frameEl);
+                renderQRCode(frameEl, frame);
+            });
+        } catch (e) {
+            console.error('QR generation failed:', e);
+            showToast('error', 'QR Generation Failed', 'Unable to render QR frames. Try regenerating.');
+            return false;
+        }
+        
+        frameStat?.classList.remove('hidden');
+        const frameLabel = document.getElementById(`${prefix}QRFrameLabel`);
+        const frameEls = element.querySelectorAll('.qr-frame');
+        let current = 0;
+        
+        const showFrame = (index) => {
+            frameEls[current].classList.add('hidden');
+            current = index;
+            frameEls[current].classList.remove('hidden');
+            if (frameLabel) frameLabel.textContent = `${current + 1}/${frames.length}`;
+        };
+        
+        showFrame(0);
+        state.qrAnimations[prefix] = setInterval(() => {
+            showFrame((current + 1) % frames.length);
+        }, CONFIG.qrFrameInterval);
+        
+        return true;
+    }
+
+    function stopQRAnimation(prefix) {
+        if (state.qrAnimations[prefix]) {
+            clearInterval(state.qrAnimations[prefix]);
+            delete state.qrAnimations[prefix];
+        }
+    }
+
+    function stopQRAnimations() {
+        Object.keys(state.qrAnimations).forEach(stopQRAnimation);
+    }
+
     // ==================== SCREEN NAVIGATION ====================
     
     function showScreen(screenId) {
@@ -268,6 +628,10 @@ const BeaconMesh = (function() {
                 el.classList.toggle('hidden', id !== screenId);
             }
         });
+        
+        if (screenId === 'chatScreen') {
+            flushReadReceipts();
+        }
     }
 
     function goHome() {
@@ -283,15 +647,21 @@ const BeaconMesh = (function() {
         document.getElementById('hostQRContainer')?.classList.add('hidden');
         document.getElementById('hostScanSection')?.classList.add('hidden');
         document.getElementById('hostForceGenerate')?.classList.add('hidden');
+        stopQRAnimations();
         document.getElementById('hostQRCode').innerHTML = '';
+        resetFrameProgress('hostScanner');
+        clearScanError('host');
         
         // Reset join UI
         document.getElementById('joinScanSection')?.classList.remove('hidden');
+        document.getElementById('joinMoreCandidates')?.classList.add('hidden');
         document.getElementById('joinQRSection')?.classList.add('hidden');
         document.getElementById('joinQRLoading')?.classList.remove('hidden');
         document.getElementById('joinQRContainer')?.classList.add('hidden');
         document.getElementById('joinForceGenerate')?.classList.add('hidden');
         document.getElementById('joinQRCode').innerHTML = '';
+        resetFrameProgress('joinScanner');
+        clearScanError('join');
         
         // Reset steps
         resetSteps('host');
@@ -356,8 +726,8 @@ const BeaconMesh = (function() {
                     ${icons[type]}
                 </svg>
                 <div class="flex-1 min-w-0">
-                    <p class="font-bold text-sm">${title}</p>
-                    <p class="text-xs opacity-80 truncate">${message}</p>
+                    <p class="font-bold text-sm">${escapeHtml(title)}</p>
+                    <p class="text-xs opacity-80 truncate">${escapeHtml(message)}</p>
                 </div>
                 <button onclick="BeaconMesh.dismissToast('${id}')" class="opacity-60 hover:opacity-100">
                     <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -449,6 +819,7 @@ const BeaconMesh = (function() {
     async function initScanner(elementId, onSuccess) {
         try {
             const scanner = new Html5Qrcode(elementId);
+            resetFrameProgress(elementId);
             
             await scanner.start(
                 { facingMode: 'environment' },
@@ -458,7 +829,15 @@ const BeaconMesh = (function() {
                     aspectRatio: 1.0
                 },
                 (decodedText) => {
-                    onSuccess(decodedText);
+                    const frame = parseFrame(decodedText);
+                    if (!frame) {
+                        onSuccess(decodedText);
+                        return;
+                    }
+                    
+                    // Multi-frame signal: wait until every frame is in
+                    const data = collectFrame(elementId, frame);
+                    if (data) onSuccess(data);
                 },
                 () => {} // Ignore scan errors
             );
@@ -484,23 +863,69 @@ const BeaconMesh = (function() {
 
     // ==================== WEBRTC CONNECTION ====================
     
-    function createPeerConnection() {
+    /**
+     * Create the bookkeeping for one link in the mesh
+     * Links introduced over the mesh know their node id up front and take no slot
+     */
+    function createPeer(isInitiator, nodeId = null) {
+        const peer = {
+            linkId: generateId(4),
+            nodeId: nodeId,             // Otherwise learned from the peer's hello
+            slot: isInitiator && !nodeId ? state.nextSlot++ : null,
+            isInitiator: isInitiator,
+            introduced: !!nodeId,       // Signaled over the mesh instead of by QR
+            pc: null,
+            channel: null,
+            localSDP: '',
+            signalVersion: null,
+            maxMessageSize: null,       // Largest message the peer accepts, from its signal
+            iceCandidates: [],
+            remoteCandidates: [],       // Relayed candidates waiting for the remote description
+            signaledCandidates: new Set(), // Keys of local candidates the remote side already has
+            remoteUfrag: null,          // From the scanned signal, to recognise a second QR round
+            candidateRound: false,
+            iceGatheringComplete: false,
+            connectedAt: null,
+            recovery: null,             // { attempts, timer } while an ICE restart is under way
+            rtt: null,                  // Latest heartbeat round trip (ms)
+            jitter: 0,                  // Smoothed RTT variation (ms)
+            lastPong: null,
+            resumed: false,             // Re-paired by QR after the mesh was lost
+            inCall: false,              // Peer has joined a call, see handleCallMessage()
+            callSenders: [],            // Our call tracks on this link
+            remoteStream: null,         // The peer's call media
+            makingOffer: false,         // Renegotiation offer in flight, to spot clashes
+            verification: { symbols: null, local: null, remote: null }, // Security code and each side's verdict
+            identitySent: false         // Our signed identity card went out on this link
+        };
+        
+        state.peers.set(peer.linkId, peer);
+        return peer;
+    }
+
+    function createPeerConnection(peer) {
         const pc = new RTCPeerConnection({ iceServers: CONFIG.iceServers });
         
-        state.iceCandidates = [];
-        state.iceGatheringComplete = false;
+        peer.pc = pc;
+        peer.iceCandidates = [];
+        peer.iceGatheringComplete = false;
         
         pc.onicecandidate = (event) => {
             if (event.candidate) {
-                state.iceCandidates.push(event.candidate);
+                peer.iceCandidates.push(event.candidate);
                 console.log('ICE candidate:', event.candidate.type, event.candidate.address);
+                
+                // Candidates the QR didn't carry go over the mesh once we know the node
+                if (peer.nodeId && (peer.introduced || peer.connectedAt)) {
+                    trickleCandidate(peer, event.candidate);
+                }
             }
         };
         
         pc.onicegatheringstatechange = () => {
             console.log('ICE gathering state:', pc.iceGatheringState);
             if (pc.iceGatheringState === 'complete') {
-                state.iceGatheringComplete = true;
+                peer.iceGatheringComplete = true;
             }
         };
         
@@ -508,42 +933,240 @@ const BeaconMesh = (function() {
             console.log('ICE connection state:', pc.iceConnectionState);
         };
         
+        // Call tracks were added or removed
+        pc.onnegotiationneeded = () => {
+            renegotiate(peer);
+        };
+        
+        pc.ontrack = (event) => {
+            handleRemoteTrack(peer, event);
+        };
+        
         pc.onconnectionstatechange = () => {
-            console.log('Connection state:', pc.connectionState);
+            console.log(`Connection state (${peerLabel(peer)}):`, pc.connectionState);
             
             if (pc.connectionState === 'connected') {
-                onConnectionEstablished();
+                if (peer.recovery) {
+                    finishRecovery(peer);
+                }
+                onConnectionEstablished(peer);
             } else if (pc.connectionState === 'failed') {
-                showToast('error', 'Connection Failed', 'Unable to establish P2P connection');
-                goHome();
+                if (peer.connectedAt) {
+                    // Established links get an ICE restart before they are given up
+                    startRecovery(peer, true);
+                    return;
+                }
+                
+                // An introduced link is optional; the mesh still reaches that peer
+                if (!peer.introduced) {
+                    showToast('error', 'Connection Failed', `Unable to establish P2P connection with ${peerLabel(peer)}`);
+                }
+                onPeerFailed(peer);
             } else if (pc.connectionState === 'disconnected') {
-                showToast('warning', 'Disconnected', 'Connection lost');
+                showToast('warning', 'Disconnected', `Connection to ${peerLabel(peer)} lost, reconnecting...`);
+                if (peer.connectedAt) {
+                    startRecovery(peer, false);
+                }
             }
         };
         
         return pc;
     }
 
-    function setupDataChannel(channel) {
+    function setupDataChannel(peer, channel) {
+        peer.channel = channel;
+        channel.binaryType = 'arraybuffer';
+        
         channel.onopen = () => {
             console.log('Data channel opened');
-            showToast('success', 'Connected!', 'Secure channel established');
+            if (peer.introduced) {
+                showToast('success', 'Direct Link', `Now linked directly to ${peerLabel(peer)}`);
+            } else {
+                showToast('success', 'Connected!', 'Secure channel established');
+            }
+            sendToPeer(peer, { t: 'hello', id: state.localId, s: state.sessionId });
+            updateMeshStats();
         };
         
         channel.onclose = () => {
             console.log('Data channel closed');
+            updateMeshStats();
+            renderRoster();
         };
         
         channel.onerror = (error) => {
             console.error('Data channel error:', error);
         };
         
+        // Text frames are JSON payloads, binary frames are file chunks
         channel.onmessage = (event) => {
-            handleIncomingMessage(event.data);
+            if (typeof event.data === 'string') {
+                handleIncomingMessage(peer, event.data);
+            } else {
+                handleFileChunk(peer, event.data);
+            }
         };
     }
 
-    async function waitForICEGathering(pc, prefix) {
+    /**
+     * Send a payload to one peer, returning false if its channel is not open
+     */
+    function sendToPeer(peer, payload) {
+        if (!peer.channel || peer.channel.readyState !== 'open') return false;
+        
+        try {
+            peer.channel.send(JSON.stringify(payload));
+            return true;
+        } catch (e) {
+            console.error(`Send to ${peerLabel(peer)} failed:`, e);
+            return false;
+        }
+    }
+
+    /**
+     * Send a payload to every open peer, optionally skipping one
+     * Returns the number of peers it was sent to
+     */
+    function broadcast(payload, exceptPeer = null) {
+        let sent = 0;
+        for (const peer of state.peers.values()) {
+            if (peer !== exceptPeer && sendToPeer(peer, payload)) {
+                sent++;
+            }
+        }
+        return sent;
+    }
+
+    function getOpenPeers() {
+        return Array.from(state.peers.values())
+            .filter(peer => peer.channel && peer.channel.readyState === 'open');
+    }
+
+    function closePeer(peer) {
+        // A peer that drops out of the mesh drops out of the call
+        if (peer.inCall || peer.callSenders.length > 0) {
+            peer.inCall = false;
+            peer.remoteStream = null;
+            peer.callSenders = [];
+            state.call?.ringing.delete(peer.linkId);
+            renderCallTiles();
+            endCallIfEmpty();
+        }
+        
+        if (peer.recovery) {
+            clearTimeout(peer.recovery.timer);
+            peer.recovery = null;
+        }
+        
+        if (peer.channel) {
+            try {
+                peer.channel.close();
+            } catch (e) {}
+            peer.channel = null;
+        }
+        
+        if (peer.pc) {
+            try {
+                peer.pc.close();
+            } catch (e) {}
+            peer.pc = null;
+        }
+    }
+
+    /**
+     * Close a single link and drop it from the mesh
+     */
+    function removePeer(peer) {
+        closePeer(peer);
+        state.peers.delete(peer.linkId);
+        
+        if (state.pendingPeer === peer) {
+            state.pendingPeer = null;
+        }
+        
+        // Forget what this neighbour could reach unless another link to it remains
+        if (peer.nodeId && !findPeerByNode(peer.nodeId)) {
+            state.neighborRosters.delete(peer.nodeId);
+        }
+        
+        updateMeshStats();
+        renderRoster();
+        renderHostSlots();
+        broadcastRoster();
+        introduceKnownPeers();
+    }
+
+    function onPeerFailed(peer) {
+        const wasPending = state.pendingPeer === peer;
+        removePeer(peer);
+        
+        if (peer.introduced) return;
+        
+        if (getOpenPeers().length === 0) {
+            goHome();
+        } else if (wasPending) {
+            stopScanners();
+            resetUI();
+            showScreen('chatScreen');
+        }
+    }
+
+    /**
+     * Find the open link to a node, if we have one
+     */
+    function findPeerByNode(nodeId) {
+        return getOpenPeers().find(peer => peer.nodeId === nodeId) || null;
+    }
+
+    /**
+     * Find any link to a node, open or not, preferring an open one
+     */
+    function findLinkByNode(nodeId) {
+        return findPeerByNode(nodeId) ||
+            Array.from(state.peers.values()).find(peer => peer.nodeId === nodeId) || null;
+    }
+
+    function generateId(byteLength) {
+        const bytes = crypto.getRandomValues(new Uint8Array(byteLength));
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Version 4 UUID; randomUUID() is missing outside secure contexts
+     */
+    function generateUuid() {
+        if (crypto.randomUUID) return crypto.randomUUID();
+        
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        bytes[6] = (bytes[6] & 0x0f) | 0x40;
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+        const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+
+    /**
+     * A hello must name a well-formed node id (same shape as generateId(4))
+     * that isn't ours, the one this link was opened for, or another link's
+     */
+    function isValidHello(peer, nodeId) {
+        if (typeof nodeId !== 'string' || !/^[0-9a-f]{8}$/.test(nodeId) || nodeId === state.localId) return false;
+        if (peer.nodeId && peer.nodeId !== nodeId) return false;
+        
+        return !getOpenPeers().some(other => other !== peer && other.nodeId === nodeId);
+    }
+
+    function formatNodeId(nodeId) {
+        return 'Peer ' + nodeId.substring(0, 4).toUpperCase();
+    }
+
+    function peerLabel(peer) {
+        if (peer.nodeId) return getNodeLabel(peer.nodeId);
+        return peer.slot ? `Slot ${peer.slot}` : 'Host';
+    }
+
+    async function waitForICEGathering(peer, prefix) {
+        const pc = peer.pc;
+        
         return new Promise((resolve) => {
             let progress = 10;
             const startTime = Date.now();
@@ -558,7 +1181,7 @@ const BeaconMesh = (function() {
                 progress = Math.min(90, 10 + (elapsed / CONFIG.iceGatheringTimeout) * 80);
                 
                 updateProgress(prefix, progress, 
-                    `Gathering candidates (${state.iceCandidates.length})...`,
+                    `Gathering candidates (${peer.iceCandidates.length})...`,
                     `${Math.ceil((CONFIG.iceGatheringTimeout - elapsed) / 1000)}s remaining`
                 );
                 
@@ -566,7 +1189,7 @@ const BeaconMesh = (function() {
                     clearTimeout(state.forceGenerateTimeout);
                     updateProgress(prefix, 100, 'Complete!', 'Generating QR code');
                     resolve();
-                } else if (state.iceCandidates.length >= CONFIG.maxCandidates) {
+                } else if (peer.iceCandidates.length >= getInitialCandidateTarget()) {
                     // We have enough candidates
                     clearTimeout(state.forceGenerateTimeout);
                     updateProgress(prefix, 100, 'Complete!', 'Generating QR code');
@@ -580,31 +1203,137 @@ const BeaconMesh = (function() {
         });
     }
 
-    // ==================== HOST FLOW ====================
+    // ==================== TRICKLE ICE ====================
     
-    async function startHost() {
-        state.isHost = true;
-        showScreen('hostScreen');
+    /**
+     * Remember which candidates a QR carried so they aren't trickled again
+     */
+    function rememberSignaledCandidates(peer, sdp) {
+        for (const candidate of extractSignal(sdp, peer.isInitiator ? 'offer' : 'answer').candidates) {
+            peer.signaledCandidates.add(candidateKey(candidate));
+        }
+    }
+
+    /**
+     * Send a local candidate the remote side hasn't had yet
+     */
+    function trickleCandidate(peer, candidate) {
+        const parsed = parseCandidate('a=' + candidate.candidate);
+        const key = parsed ? candidateKey(parsed) : candidate.candidate;
         
-        try {
+        if (peer.signaledCandidates.has(key)) return;
+        peer.signaledCandidates.add(key);
+        
+        sendSignal(peer.nodeId, { k: 'ice', c: candidate.toJSON() });
+    }
+
+    /**
+     * Once the peer has said hello, send what was gathered after its QR was made
+     */
+    function trickleLateCandidates(peer) {
+        if (!CONFIG.trickleICE) return;
+        peer.iceCandidates.forEach(candidate => trickleCandidate(peer, candidate));
+    }
+
+    /**
+     * If a QR-paired link hasn't connected in time, trade codes once more,
+     * this time carrying every candidate gathered since the first round
+     */
+    function scheduleCandidateRound(peer, prefix) {
+        if (!CONFIG.trickleICE || peer.candidateRound) return;
+        peer.candidateRound = true;
+        
+        setTimeout(() => {
+            if (state.pendingPeer !== peer || peer.connectedAt || !peer.pc) return;
+            
+            showToast('info', 'Still Connecting', 'Trade QR codes again to share more network paths');
+            
+            if (prefix === 'host') {
+                generateHostQR();
+            } else {
+                generateJoinQR();
+                document.getElementById('joinMoreCandidates')?.classList.remove('hidden');
+            }
+        }, CONFIG.candidateRoundDelay);
+    }
+
+    /**
+     * Decode a scanned code as a second round for the pairing under way
+     * Returns null if it belongs to some other pairing
+     */
+    function decodeCandidateRound(peer, data, type) {
+        if (!peer || !peer.pc || !peer.remoteUfrag || peer.connectedAt) return null;
+        
+        try {
+            const signal = decodeSignal(data, type);
+            return signal.ufrag === peer.remoteUfrag ? signal : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    async function applySignalCandidates(peer, signal) {
+        let added = 0;
+        
+        for (const candidate of signal.candidates) {
+            try {
+                await peer.pc.addIceCandidate(new RTCIceCandidate({
+                    candidate: formatCandidate(candidate),
+                    sdpMid: '0',
+                    sdpMLineIndex: 0
+                }));
+                added++;
+            } catch (e) {
+                console.warn('Skipping scanned candidate:', e);
+            }
+        }
+        
+        return added;
+    }
+
+    /**
+     * Joiner scans the host's second-round code
+     */
+    function scanMoreCandidates() {
+        document.getElementById('joinMoreCandidates')?.classList.add('hidden');
+        document.getElementById('joinScanSection').classList.remove('hidden');
+        startOfferScanner();
+    }
+
+    // ==================== HOST FLOW ====================
+    
+    async function startHost() {
+        state.isHost = true;
+        state.sessionId = state.sessionId || generateId(4);
+        showScreen('hostScreen');
+        
+        // Each joiner gets its own connection and QR slot
+        const peer = createPeer(true);
+        state.pendingPeer = peer;
+        renderHostSlots();
+        
+        try {
             updateProgress('host', 5, 'Creating connection...', 'Initializing WebRTC');
             
-            state.peerConnection = createPeerConnection();
+            createPeerConnection(peer);
             
             // Create data channel
-            state.dataChannel = state.peerConnection.createDataChannel(CONFIG.dataChannelName, {
+            const channel = peer.pc.createDataChannel(CONFIG.dataChannelName, {
                 ordered: true
             });
-            setupDataChannel(state.dataChannel);
+            setupDataChannel(peer, channel);
             
             updateProgress('host', 10, 'Creating offer...', 'Generating SDP');
             
             // Create offer
-            const offer = await state.peerConnection.createOffer();
-            await state.peerConnection.setLocalDescription(offer);
+            const offer = await peer.pc.createOffer();
+            await peer.pc.setLocalDescription(offer);
             
             // Wait for ICE gathering
-            await waitForICEGathering(state.peerConnection, 'host');
+            await waitForICEGathering(peer, 'host');
+            
+            // Pairing may have been aborted while gathering
+            if (state.pendingPeer !== peer) return;
             
             // Generate QR
             generateHostQR();
@@ -612,20 +1341,37 @@ const BeaconMesh = (function() {
         } catch (e) {
             console.error('Host setup error:', e);
             showToast('error', 'Setup Failed', e.message);
-            goHome();
+            abortPairing();
         }
     }
 
+    /**
+     * Open a new QR slot for another joiner while the mesh stays up
+     */
+    function addPeer() {
+        if (state.pendingPeer) {
+            showScreen('hostScreen');
+            return;
+        }
+        
+        resetUI();
+        startHost();
+    }
+
     function generateHostQR() {
-        const sdp = state.peerConnection.localDescription.sdp;
-        state.localSDP = compressSDP(sdp);
+        const peer = state.pendingPeer;
+        if (!peer || !peer.pc) return;
+        
+        const sdp = peer.pc.localDescription.sdp;
+        peer.localSDP = compressSDP(sdp, 'offer');
+        rememberSignaledCandidates(peer, sdp);
         
         // Update stats
-        document.getElementById('hostQRSize').textContent = state.localSDP.length;
-        document.getElementById('hostCandidateCount').textContent = state.iceCandidates.length;
+        document.getElementById('hostQRSize').textContent = peer.localSDP.length;
+        document.getElementById('hostCandidateCount').textContent = peer.iceCandidates.length;
         
         // Check if QR will be scannable
-        if (state.localSDP.length > 2000) {
+        if (!CONFIG.multiFrameQR && peer.localSDP.length > 2000) {
             showToast('warning', 'Large QR Code', 'QR may be difficult to scan. Ensure good lighting.');
         }
         
@@ -634,7 +1380,7 @@ const BeaconMesh = (function() {
         document.getElementById('hostQRContainer').classList.remove('hidden');
         document.getElementById('hostForceGenerate').classList.add('hidden');
         
-        if (!generateQRCode('hostQRCode', state.localSDP)) {
+        if (!showSignalQR('host', peer.localSDP)) {
             showToast('error', 'QR Failed', 'Unable to generate QR code');
             return;
         }
@@ -643,7 +1389,20 @@ const BeaconMesh = (function() {
         document.getElementById('hostScanSection').classList.remove('hidden');
         
         // Start scanner for answer
+        startAnswerScanner();
+        
+        updateStep('host', 2);
+    }
+
+    /**
+     * Scan for the joiner's answer
+     * A code that was just rejected is ignored while it stays in view
+     */
+    function startAnswerScanner(rejectedData = null) {
+        if (state.hostScanner) return;
+        
         startScanner('hostScanner', async (data) => {
+            if (data === rejectedData) return;
             if (state.hostScanner) {
                 await state.hostScanner.stop();
                 state.hostScanner = null;
@@ -652,8 +1411,6 @@ const BeaconMesh = (function() {
         }).then(scanner => {
             state.hostScanner = scanner;
         });
-        
-        updateStep('host', 2);
     }
 
     function forceGenerateHostQR() {
@@ -662,27 +1419,45 @@ const BeaconMesh = (function() {
     }
 
     async function processHostAnswerData(data) {
+        const peer = state.pendingPeer;
+        if (!peer || !peer.pc) return;
+        
+        // A second round from the same joiner only adds candidates
+        const round = decodeCandidateRound(peer, data, 'answer');
+        if (round) {
+            const added = await applySignalCandidates(peer, round);
+            updateStep('host', 3);
+            showToast('success', 'Candidates Added', `${added} network paths to try`);
+            return;
+        }
+        
         try {
             showToast('info', 'Processing...', 'Validating answer data');
+            clearScanError('host');
             
-            const sdp = decompressSDP(data, 'answer');
+            const signal = decodeSignal(data, 'answer');
             
             const answer = {
                 type: 'answer',
-                sdp: sdp
+                sdp: reconstructFullSDP(signal, 'answer')
             };
             
-            await state.peerConnection.setRemoteDescription(new RTCSessionDescription(answer));
+            await peer.pc.setRemoteDescription(new RTCSessionDescription(answer));
+            peer.remoteUfrag = signal.ufrag;
+            peer.maxMessageSize = signal.maxMessageSize;
             
             updateStep('host', 3);
             showToast('success', 'Answer Received', 'Establishing connection...');
+            scheduleCandidateRound(peer, 'host');
             
         } catch (e) {
             console.error('Error processing answer:', e);
-            showToast('error', 'Invalid Answer', 'Please try scanning again');
+            const error = describeSignalError(e);
+            showToast('error', error.title, error.message);
+            showScanError('host', error.message);
             
             // Restart scanner
-            state.hostScanner = await startScanner('hostScanner', processHostAnswerData);
+            startAnswerScanner(data);
         }
     }
 
@@ -694,26 +1469,72 @@ const BeaconMesh = (function() {
     }
 
     function copyHostSDP() {
-        navigator.clipboard.writeText(state.localSDP).then(() => {
+        copySignal(state.pendingPeer);
+    }
+
+    function copySignal(peer) {
+        if (!peer || !peer.localSDP) return;
+        
+        navigator.clipboard.writeText(peer.localSDP).then(() => {
             showToast('success', 'Copied!', 'SDP copied to clipboard');
         });
     }
 
     function regenerateHostOffer() {
+        const peer = state.pendingPeer;
+        if (!peer || !peer.pc) return;
+        
         // Reset and regenerate
         document.getElementById('hostQRLoading').classList.remove('hidden');
         document.getElementById('hostQRContainer').classList.add('hidden');
         
-        state.iceCandidates = [];
+        peer.iceCandidates = [];
         
         // Trigger ICE restart
-        state.peerConnection.restartIce();
+        peer.pc.restartIce();
         
         setTimeout(() => {
             generateHostQR();
         }, 1000);
     }
 
+    /**
+     * List the host's joiner slots and what state each one is in
+     */
+    function renderHostSlots() {
+        const container = document.getElementById('hostSlots');
+        const label = document.getElementById('hostSlotLabel');
+        if (!container) return;
+        
+        const slots = Array.from(state.peers.values()).filter(peer => peer.slot);
+        
+        if (label) {
+            label.textContent = state.pendingPeer ? `Slot ${state.pendingPeer.slot}` : '';
+        }
+        
+        // A lone pending slot needs no list
+        if (slots.length <= 1) {
+            container.classList.add('hidden');
+            container.innerHTML = '';
+            return;
+        }
+        
+        container.innerHTML = slots.map(peer => {
+            const isPending = peer === state.pendingPeer;
+            const status = isPending ? 'Awaiting answer' : peer.connectedAt ? 'Connected' : 'Connecting';
+            const statusClass = isPending ? 'text-yellow-500' : peer.connectedAt ? 'text-neon' : 'text-gray-500';
+            
+            return `
+                <div class="slot-item ${isPending ? 'slot-item-active' : ''}">
+                    <span class="slot-number">#${peer.slot}</span>
+                    <span class="slot-peer">${peer.nodeId ? escapeHtml(getNodeLabel(peer.nodeId)) : 'New joiner'}</span>
+                    <span class="slot-status ${statusClass}">${status}</span>
+                </div>
+            `;
+        }).join('');
+        container.classList.remove('hidden');
+    }
+
     // ==================== JOIN FLOW ====================
     
     async function startJoin() {
@@ -721,7 +1542,18 @@ const BeaconMesh = (function() {
         showScreen('joinScreen');
         
         // Start scanner
+        await startOfferScanner();
+    }
+
+    /**
+     * Scan for the host's offer
+     * A code that was just rejected is ignored while it stays in view
+     */
+    async function startOfferScanner(rejectedData = null) {
+        if (state.joinScanner) return;
+        
         state.joinScanner = await startScanner('joinScanner', async (data) => {
+            if (data === rejectedData) return;
             if (state.joinScanner) {
                 await state.joinScanner.stop();
                 state.joinScanner = null;
@@ -731,8 +1563,26 @@ const BeaconMesh = (function() {
     }
 
     async function processJoinOfferData(data) {
+        // A second round from the host we're pairing with only adds candidates
+        const round = decodeCandidateRound(state.pendingPeer, data, 'offer');
+        if (round) {
+            const added = await applySignalCandidates(state.pendingPeer, round);
+            document.getElementById('joinScanSection').classList.add('hidden');
+            showToast('success', 'Candidates Added', `${added} network paths to try`);
+            return;
+        }
+        
+        // Start every attempt from a fresh connection
+        if (state.pendingPeer) {
+            removePeer(state.pendingPeer);
+        }
+        
+        const peer = createPeer(false);
+        state.pendingPeer = peer;
+        
         try {
             showToast('info', 'Processing...', 'Validating offer data');
+            clearScanError('join');
             
             // Switch to answer section
             document.getElementById('joinScanSection').classList.add('hidden');
@@ -741,17 +1591,22 @@ const BeaconMesh = (function() {
             updateStep('join', 2);
             updateProgress('join', 10, 'Decoding offer...', 'Validating data');
             
-            const sdp = decompressSDP(data, 'offer');
+            const signal = decodeSignal(data, 'offer');
+            const sdp = reconstructFullSDP(signal, 'offer');
+            
+            // Answer in the highest signal version both sides understand
+            peer.signalVersion = BeaconCodec.negotiate(signal);
+            peer.remoteUfrag = signal.ufrag;
+            peer.maxMessageSize = signal.maxMessageSize;
             
             updateProgress('join', 30, 'Creating connection...', 'Initializing WebRTC');
             
             // Create peer connection
-            state.peerConnection = createPeerConnection();
+            createPeerConnection(peer);
             
             // Handle incoming data channel
-            state.peerConnection.ondatachannel = (event) => {
-                state.dataChannel = event.channel;
-                setupDataChannel(state.dataChannel);
+            peer.pc.ondatachannel = (event) => {
+                setupDataChannel(peer, event.channel);
             };
             
             updateProgress('join', 50, 'Setting remote description...', 'Processing offer');
@@ -762,46 +1617,56 @@ const BeaconMesh = (function() {
                 sdp: sdp
             };
             
-            await state.peerConnection.setRemoteDescription(new RTCSessionDescription(offer));
+            await peer.pc.setRemoteDescription(new RTCSessionDescription(offer));
             
             updateProgress('join', 60, 'Creating answer...', 'Generating response');
             
             // Create answer
-            const answer = await state.peerConnection.createAnswer();
-            await state.peerConnection.setLocalDescription(answer);
+            const answer = await peer.pc.createAnswer();
+            await peer.pc.setLocalDescription(answer);
             
             // Wait for ICE gathering
-            await waitForICEGathering(state.peerConnection, 'join');
+            await waitForICEGathering(peer, 'join');
+            
+            // Pairing may have been aborted while gathering
+            if (state.pendingPeer !== peer) return;
             
             // Generate QR
             generateJoinQR();
+            scheduleCandidateRound(peer, 'join');
             
         } catch (e) {
             console.error('Error processing offer:', e);
-            showToast('error', 'Invalid Offer', 'Please try scanning again');
+            const error = describeSignalError(e);
+            showToast('error', error.title, error.message);
             
             // Go back to scanner
             document.getElementById('joinQRSection').classList.add('hidden');
             document.getElementById('joinScanSection').classList.remove('hidden');
+            showScanError('join', error.message);
             
-            state.joinScanner = await startScanner('joinScanner', processJoinOfferData);
+            await startOfferScanner(data);
         }
     }
 
     function generateJoinQR() {
-        const sdp = state.peerConnection.localDescription.sdp;
-        state.localSDP = compressSDP(sdp);
+        const peer = state.pendingPeer;
+        if (!peer || !peer.pc) return;
+        
+        const sdp = peer.pc.localDescription.sdp;
+        peer.localSDP = compressSDP(sdp, 'answer', peer.signalVersion || CONFIG.signalVersion);
+        rememberSignaledCandidates(peer, sdp);
         
         // Update stats
-        document.getElementById('joinQRSize').textContent = state.localSDP.length;
-        document.getElementById('joinCandidateCount').textContent = state.iceCandidates.length;
+        document.getElementById('joinQRSize').textContent = peer.localSDP.length;
+        document.getElementById('joinCandidateCount').textContent = peer.iceCandidates.length;
         
         // Show QR
         document.getElementById('joinQRLoading').classList.add('hidden');
         document.getElementById('joinQRContainer').classList.remove('hidden');
         document.getElementById('joinForceGenerate').classList.add('hidden');
         
-        if (!generateQRCode('joinQRCode', state.localSDP)) {
+        if (!showSignalQR('join', peer.localSDP)) {
             showToast('error', 'QR Failed', 'Unable to generate QR code');
             return;
         }
@@ -822,223 +1687,4875 @@ const BeaconMesh = (function() {
     }
 
     function copyJoinSDP() {
-        navigator.clipboard.writeText(state.localSDP).then(() => {
-            showToast('success', 'Copied!', 'SDP copied to clipboard');
-        });
+        copySignal(state.pendingPeer);
     }
 
-    // ==================== CHAT FUNCTIONALITY ====================
-    
-    function onConnectionEstablished() {
-        state.connectionStartTime = Date.now();
-        stopScanners();
-        showScreen('chatScreen');
-        
-        // Update home stats
-        document.getElementById('homeConnectionCount').textContent = '1';
-        document.getElementById('homeStatusIndicator').textContent = '●';
-        document.getElementById('homeStatusIndicator').classList.remove('text-yellow-500');
-        document.getElementById('homeStatusIndicator').classList.add('text-neon');
-        
-        // Start connection duration timer
-        updateConnectionDuration();
-        state.connectionCheckInterval = setInterval(updateConnectionDuration, 1000);
+    /**
+     * Leave the host/join screen: back to the chat if the mesh is up, else home
+     */
+    function abortPairing() {
+        if (state.pendingPeer) {
+            removePeer(state.pendingPeer);
+        }
         
-        // Focus message input
-        setTimeout(() => {
-            document.getElementById('messageInput')?.focus();
-        }, 100);
+        if (getOpenPeers().length > 0 || state.awaitingResume) {
+            stopScanners();
+            resetUI();
+            showScreen('chatScreen');
+        } else {
+            goHome();
+        }
     }
 
-    function updateConnectionDuration() {
-        if (!state.connectionStartTime) return;
-        
-        const duration = Math.floor((Date.now() - state.connectionStartTime) / 1000);
-        const minutes = Math.floor(duration / 60);
-        const seconds = duration % 60;
+    // ==================== MESH ROUTING ====================
+    
+    /**
+     * Stamp a payload for flooding: UUID, origin, hop budget and path
+     * A chat message keeps this id everywhere it goes
+     */
+    function createRouted(payload) {
+        const routed = {
+            ...payload,
+            id: generateUuid(),
+            f: state.localId,       // origin
+            ts: Date.now(),
+            ttl: CONFIG.messageTTL,
+            p: [state.localId]      // nodes it has passed through
+        };
         
-        document.getElementById('connectionDuration').textContent = 
-            `Connected ${minutes}:${seconds.toString().padStart(2, '0')}`;
+        markSeen(routed.id);
+        return routed;
     }
 
-    function sendMessage() {
-        const input = document.getElementById('messageInput');
-        const message = input.value.trim();
-        
-        if (!message) return;
-        if (message.length > CONFIG.maxMessageLength) {
-            showToast('warning', 'Message Too Long', `Max ${CONFIG.maxMessageLength} characters`);
-            return;
-        }
+    function markSeen(id) {
+        state.seenMessages.set(id, Date.now());
         
-        if (state.dataChannel && state.dataChannel.readyState === 'open') {
-            const payload = JSON.stringify({
-                t: 'm', // type: message
-                d: message, // data
-                ts: Date.now()
-                });
-            
-            state.dataChannel.send(payload);
-            addMessageToChat(message, true);
-            input.value = '';
-            updateCharCount();
-        } else {
-            showToast('error', 'Not Connected', 'Connection not ready. Please wait...');
+        // Maps iterate in insertion order, so the first key is the oldest
+        while (state.seenMessages.size > CONFIG.seenMessageLimit) {
+            state.seenMessages.delete(state.seenMessages.keys().next().value);
         }
     }
 
-    function handleIncomingMessage(data) {
-        try {
-            const payload = JSON.parse(data);
+    /**
+     * Drop routed payloads we've already seen and pass new ones on
+     * Returns false if the payload is a duplicate
+     */
+    function acceptRouted(fromPeer, payload) {
+        if (state.seenMessages.has(payload.id)) return false;
+        markSeen(payload.id);
+        
+        const path = Array.isArray(payload.p) ? payload.p : [payload.f];
+        
+        // Senders can't buy more hops than we'd give our own payloads
+        const ttl = Math.min(Number(payload.ttl) || 0, CONFIG.messageTTL);
+        
+        if (ttl > 1) {
+            const forwarded = { ...payload, ttl: ttl - 1, p: [...path, state.localId] };
+            let sent = 0;
             
-            switch (payload.t) {
-                case 'm': // message
-                    addMessageToChat(payload.d, false);
-                    // Play notification sound or vibrate
-                    if (document.hidden && navigator.vibrate) {
-                        navigator.vibrate(100);
-                    }
-                    break;
-                case 'typing':
-                    showTypingIndicator(payload.d);
-                    break;
-                case 'ping':
-                    // Respond to ping
-                    state.dataChannel.send(JSON.stringify({ t: 'pong', ts: Date.now() }));
-                    break;
-                default:
-                    console.log('Unknown message type:', payload.t);
+            for (const peer of getOpenPeers()) {
+                // Nodes on the path already have it
+                if (peer === fromPeer || path.includes(peer.nodeId)) continue;
+                if (sendToPeer(peer, forwarded)) sent++;
             }
-        } catch (e) {
-            console.error('Error parsing message:', e);
+            
+            state.relayedCount += sent > 0 ? 1 : 0;
         }
+        
+        return true;
     }
 
-    function addMessageToChat(text, isSent) {
-        const container = document.getElementById('chatMessages');
-        const time = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-        const messageId = 'msg-' + Date.now();
+    // ==================== PEER-ASSISTED SIGNALING ====================
+    
+    /**
+     * Send a signaling payload to a node: directly if linked, otherwise
+     * through a neighbour that links to it
+     */
+    function sendSignal(nodeId, signal) {
+        const payload = { t: 'sig', from: state.localId, to: nodeId, ...signal };
         
-        const messageHtml = `
-            <div id="${messageId}" class="message-row ${isSent ? 'message-row-sent' : 'message-row-received'}">
-                <div class="message ${isSent ? 'message-sent' : 'message-received'}">
-                    <div class="message-content">${escapeHtml(text)}</div>
-                    <div class="message-meta">
-                        <span class="message-time">${time}</span>
-                        ${isSent ? '<span class="message-status">✓</span>' : ''}
-                    </div>
-                </div>
-            </div>
-        `;
+        const direct = findPeerByNode(nodeId);
+        if (direct && !direct.recovery) return sendToPeer(direct, payload);
         
-        container.insertAdjacentHTML('beforeend', messageHtml);
+        for (const peer of getOpenPeers()) {
+            const reach = state.neighborRosters.get(peer.nodeId) || [];
+            if (peer !== direct && reach.includes(nodeId) && sendToPeer(peer, payload)) {
+                return true;
+            }
+        }
         
-        // Smooth scroll to bottom
-        requestAnimationFrame(() => {
-            container.scrollTo({
-                top: container.scrollHeight,
-                behavior: 'smooth'
-            });
-        });
+        // A link that is recovering may still carry it once ICE comes back
+        if (direct) return sendToPeer(direct, payload);
         
-        // Animate message entry
-        requestAnimationFrame(() => {
-            const msg = document.getElementById(messageId);
-            msg?.classList.add('message-animate-in');
-        });
-    }
-
-    function escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        // Convert URLs to links
-        let html = div.innerHTML;
-        html = html.replace(
-            /(https?:\/\/[^\s]+)/g, 
-            '<a href="$1" target="_blank" rel="noopener noreferrer" class="text-cyber-blue underline">$1</a>'
-        );
-        return html;
+        console.warn(`No route to ${formatNodeId(nodeId)} for signaling`);
+        return false;
     }
 
-    function updateCharCount() {
-        const input = document.getElementById('messageInput');
-        const counter = document.getElementById('charCount');
-        const length = input.value.length;
+    /**
+     * Pass on a signaling payload addressed to one of our direct links.
+     * Signals only ever take one relay hop, so the link it came in on must
+     * be its sender.
+     */
+    function relaySignal(fromPeer, payload) {
+        if (!fromPeer.nodeId || payload.from !== fromPeer.nodeId) {
+            console.warn(`Dropping signal claiming to be from ${formatNodeId(payload.from)} on the link to ${peerLabel(fromPeer)}`);
+            return;
+        }
         
-        counter.textContent = `${length}/${CONFIG.maxMessageLength}`;
+        const target = findPeerByNode(payload.to);
         
-        if (length > CONFIG.maxMessageLength * 0.9) {
-            counter.classList.add('text-yellow-500');
+        if (target && target !== fromPeer) {
+            sendToPeer(target, payload);
         } else {
-            counter.classList.remove('text-yellow-500');
+            console.warn(`Dropping signal for ${payload.to}: no direct link`);
         }
+    }
+
+    /**
+     * Nodes our neighbours link to that we have no direct link with
+     */
+    function getRelayedNodes() {
+        const known = new Set();
         
-        if (length >= CONFIG.maxMessageLength) {
-            counter.classList.add('text-red-500');
-            counter.classList.remove('text-yellow-500');
-        } else {
-            counter.classList.remove('text-red-500');
+        for (const reach of state.neighborRosters.values()) {
+            reach.forEach(id => known.add(id));
         }
+        
+        known.delete(state.localId);
+        return Array.from(known).filter(id => !findPeerByNode(id));
     }
 
-    function showTypingIndicator(isTyping) {
-        let indicator = document.getElementById('typingIndicator');
+    function getIntroducedPeer(nodeId) {
+        return Array.from(state.peers.values())
+            .find(peer => peer.introduced && peer.nodeId === nodeId) || null;
+    }
+
+    /**
+     * Offer a direct link to every node we only reach through the mesh
+     */
+    function introduceKnownPeers() {
+        if (!CONFIG.peerAssistedSignaling) return;
         
-        if (isTyping && !indicator) {
-            const container = document.getElementById('chatMessages');
-            const html = `
-                <div id="typingIndicator" class="message-row message-row-received">
-                    <div class="message message-received typing-indicator">
-                        <span class="typing-dot"></span>
-                        <span class="typing-dot"></span>
-                        <span class="typing-dot"></span>
-                    </div>
-                </div>
-            `;
-            container.insertAdjacentHTML('beforeend', html);
-        } else if (!isTyping && indicator) {
-            indicator.remove();
+        const now = Date.now();
+        
+        for (const nodeId of getRelayedNodes()) {
+            // Only the lower id offers, so two offers never cross
+            if (state.localId > nodeId || getIntroducedPeer(nodeId)) continue;
+            if (now - (state.introductions.get(nodeId) || 0) < CONFIG.connectionTimeout) continue;
+            
+            state.introductions.set(nodeId, now);
+            introducePeer(nodeId);
         }
     }
 
-    // ==================== CONNECTION INFO ====================
-    
-    function showConnectionInfo() {
-        const modal = document.getElementById('connectionInfoModal');
-        const content = document.getElementById('connectionInfoContent');
+    async function introducePeer(nodeId) {
+        const peer = createPeer(true, nodeId);
         
-        if (!state.peerConnection) {
-            content.innerHTML = '<p class="text-gray-500">No active connection</p>';
-            modal.classList.remove('hidden');
-            return;
+        try {
+            createPeerConnection(peer);
+            
+            const channel = peer.pc.createDataChannel(CONFIG.dataChannelName, {
+                ordered: true
+            });
+            setupDataChannel(peer, channel);
+            watchIntroduction(peer);
+            renderRoster();
+            
+            const offer = await peer.pc.createOffer();
+            await peer.pc.setLocalDescription(offer);
+            
+            if (!sendSignal(nodeId, { k: 'offer', sdp: offer.sdp })) {
+                removePeer(peer);
+            }
+        } catch (error) {
+            console.error(`Introduction to ${peerLabel(peer)} failed:`, error);
+            removePeer(peer);
+        }
+    }
+
+    /**
+     * Drop an introduced link that never connects
+     */
+    function watchIntroduction(peer) {
+        setTimeout(() => {
+            if (!peer.connectedAt && state.peers.get(peer.linkId) === peer) {
+                console.log(`Direct link to ${peerLabel(peer)} timed out`);
+                removePeer(peer);
+            }
+        }, CONFIG.connectionTimeout);
+    }
+
+    async function handleSignal(fromPeer, payload) {
+        // Signals come straight from their sender, or through a neighbour that links to it
+        const direct = fromPeer.nodeId === payload.from;
+        if (!direct && !(state.neighborRosters.get(fromPeer.nodeId) || []).includes(payload.from)) {
+            console.warn(`Dropping signal claiming to be from ${formatNodeId(payload.from)} via ${peerLabel(fromPeer)}`);
+            return;
+        }
+        
+        let peer = findLinkByNode(payload.from);
+        
+        // A working link carries its own signaling; only a recovering one is reached through relays
+        if (!direct && peer && peer.connectedAt && !peer.recovery) {
+            console.warn(`Ignoring relayed ${payload.k} for the open link to ${peerLabel(peer)}`);
+            return;
+        }
+        
+        try {
+            switch (payload.k) {
+                case 'offer': {
+                    // An offer on an established link renegotiates it
+                    if (peer && peer.connectedAt) {
+                        await acceptRenegotiation(peer, payload.sdp);
+                        break;
+                    }
+                    
+                    if (!CONFIG.peerAssistedSignaling) return;
+                    
+                    // A fresh offer replaces a stale attempt from the same node
+                    if (peer) removePeer(peer);
+                    
+                    peer = createPeer(false, payload.from);
+                    createPeerConnection(peer);
+                    peer.pc.ondatachannel = (event) => {
+                        setupDataChannel(peer, event.channel);
+                    };
+                    watchIntroduction(peer);
+                    renderRoster();
+                    
+                    await peer.pc.setRemoteDescription(new RTCSessionDescription({
+                        type: 'offer',
+                        sdp: payload.sdp
+                    }));
+                    peer.maxMessageSize = extractSignal(payload.sdp, 'offer').maxMessageSize;
+                    await addRemoteCandidates(peer);
+                    
+                    const answer = await peer.pc.createAnswer();
+                    await peer.pc.setLocalDescription(answer);
+                    sendSignal(payload.from, { k: 'answer', sdp: answer.sdp });
+                    break;
+                }
+                case 'answer':
+                    if (!peer || !peer.pc || peer.pc.signalingState !== 'have-local-offer') return;
+                    
+                    await peer.pc.setRemoteDescription(new RTCSessionDescription({
+                        type: 'answer',
+                        sdp: payload.sdp
+                    }));
+                    peer.maxMessageSize = extractSignal(payload.sdp, 'answer').maxMessageSize;
+                    await addRemoteCandidates(peer);
+                    break;
+                case 'ice':
+                    if (!peer || !peer.pc || !payload.c) return;
+                    
+                    peer.remoteCandidates.push(payload.c);
+                    if (peer.pc.remoteDescription) {
+                        await addRemoteCandidates(peer);
+                    }
+                    break;
+                default:
+                    console.log('Unknown signal kind:', payload.k);
+            }
+        } catch (error) {
+            console.error(`Relayed ${payload.k} from ${formatNodeId(payload.from)} failed:`, error);
+            
+            // Established links are left to their recovery timer
+            if (peer && !peer.connectedAt) removePeer(peer);
+        }
+    }
+
+    async function acceptRenegotiation(peer, sdp) {
+        // Both ends can offer during a call; the side that paired first wins a clash
+        if (peer.makingOffer || peer.pc.signalingState !== 'stable') {
+            if (peer.isInitiator) {
+                console.log(`Ignoring clashing offer from ${peerLabel(peer)}`);
+                return;
+            }
+            if (peer.pc.signalingState === 'have-local-offer') {
+                await peer.pc.setLocalDescription({ type: 'rollback' });
+            }
+        }
+        
+        peer.signaledCandidates.clear();
+        await peer.pc.setRemoteDescription(new RTCSessionDescription({
+            type: 'offer',
+            sdp: sdp
+        }));
+        await addRemoteCandidates(peer);
+        
+        const answer = await peer.pc.createAnswer();
+        await peer.pc.setLocalDescription(answer);
+        sendSignal(peer.nodeId, { k: 'answer', sdp: answer.sdp });
+    }
+
+    async function addRemoteCandidates(peer) {
+        const candidates = peer.remoteCandidates.splice(0);
+        
+        for (const candidate of candidates) {
+            try {
+                await peer.pc.addIceCandidate(new RTCIceCandidate(candidate));
+            } catch (e) {
+                console.warn('Skipping relayed candidate:', e);
+            }
+        }
+    }
+
+    // ==================== RECONNECTION ====================
+    
+    /**
+     * Begin recovering an established link: give ICE a grace period to
+     * come back by itself, then restart it, then fall back to re-scanning
+     */
+    function startRecovery(peer, immediate) {
+        if (!peer.recovery) {
+            peer.recovery = { attempts: 0, timer: null };
+            renderRoster();
+        } else if (!immediate) {
+            return;
+        }
+        
+        clearTimeout(peer.recovery.timer);
+        peer.recovery.timer = setTimeout(() => {
+            attemptIceRestart(peer);
+        }, immediate ? 0 : CONFIG.reconnectGracePeriod);
+    }
+
+    async function attemptIceRestart(peer) {
+        if (!peer.recovery || !peer.pc) return;
+        
+        if (peer.recovery.attempts >= CONFIG.maxReconnectAttempts) {
+            abandonLink(peer);
+            return;
+        }
+        
+        peer.recovery.attempts++;
+        console.log(`ICE restart ${peer.recovery.attempts}/${CONFIG.maxReconnectAttempts} for ${peerLabel(peer)}`);
+        
+        // The side that made the original offer drives the restart so offers never cross
+        if (peer.isInitiator) {
+            try {
+                peer.signaledCandidates.clear();
+                peer.pc.restartIce?.();
+                const offer = await peer.pc.createOffer({ iceRestart: true });
+                await peer.pc.setLocalDescription(offer);
+                
+                if (!peer.recovery) return;
+                if (!sendSignal(peer.nodeId, { k: 'offer', sdp: offer.sdp })) {
+                    abandonLink(peer);
+                    return;
+                }
+            } catch (e) {
+                console.error(`ICE restart for ${peerLabel(peer)} failed:`, e);
+            }
+        }
+        
+        if (peer.recovery) {
+            peer.recovery.timer = setTimeout(() => {
+                attemptIceRestart(peer);
+            }, CONFIG.reconnectGracePeriod);
+        }
+    }
+
+    function finishRecovery(peer) {
+        clearTimeout(peer.recovery.timer);
+        peer.recovery = null;
+        peer.lastPong = null;
+        
+        // SCTP may have torn the channel down while ICE was away
+        if (peer.isInitiator && (!peer.channel || peer.channel.readyState !== 'open')) {
+            const channel = peer.pc.createDataChannel(CONFIG.dataChannelName, {
+                ordered: true
+            });
+            setupDataChannel(peer, channel);
+        }
+        
+        showToast('success', 'Reconnected', `Link to ${peerLabel(peer)} restored`);
+        renderRoster();
+        resendUnacked(peer.nodeId);
+        flushOutbox();
+        resumeTransfers(peer);
+    }
+
+    /**
+     * Give up on a link; if it was the last one, keep the chat and offer a re-scan
+     */
+    function abandonLink(peer) {
+        const label = peerLabel(peer);
+        removePeer(peer);
+        
+        // The mesh may still reach an introduced peer another way
+        if (!peer.introduced) {
+            addSystemMessage(`${label} ${LEAVE_REASONS.timeout}`);
+        }
+        
+        if (getOpenPeers().length > 0) {
+            if (!peer.introduced) {
+                showToast('warning', 'Peer Lost', `${label} could not be reached`);
+            }
+            return;
+        }
+        
+        enterResumeState('Connection lost. Re-scan to resume this session.');
+        showToast('error', 'Connection Lost', 'Re-scan a QR code to resume');
+    }
+
+    function enterResumeState(text) {
+        state.awaitingResume = true;
+        document.getElementById('resumeBannerText').textContent = text;
+        document.getElementById('resumeBanner')?.classList.remove('hidden');
+        updateConnectionDuration();
+    }
+
+    function leaveResumeState() {
+        state.awaitingResume = false;
+        document.getElementById('resumeBanner')?.classList.add('hidden');
+    }
+
+    /**
+     * Pair again by QR without leaving the session or clearing the chat
+     */
+    function resumeSession() {
+        stopScanners();
+        resetUI();
+        
+        if (state.isHost) {
+            addPeer();
+        } else {
+            startJoin();
+        }
+    }
+
+    /**
+     * Check a peer's session id from its hello
+     * Joiners adopt the mesh's session when it's their only link
+     */
+    function adoptSession(peer, sessionId) {
+        // Same shape as generateId(4); anything else is ignored
+        if (typeof sessionId !== 'string' || !/^[0-9a-f]{8}$/.test(sessionId)) return;
+        
+        if (sessionId === state.sessionId) {
+            if (peer.resumed) {
+                showToast('success', 'Session Resumed', `Back in touch with ${peerLabel(peer)}`);
+            }
+            return;
+        }
+        
+        if (!state.sessionId || (!state.isHost && getOpenPeers().length <= 1)) {
+            state.sessionId = sessionId;
+            restoreHistory();
+        }
+    }
+
+    // ==================== DELIVERY RECEIPTS ====================
+    
+    const STATUS_ICONS = { queued: '◷', sent: '✓', delivered: '✓✓', read: '✓✓' };
+    const STATUS_LABELS = { queued: 'Queued', sent: 'Sent', delivered: 'Delivered', read: 'Read' };
+    
+    /**
+     * Messages have UUIDs; files keep 8-byte ids that fit their binary frames
+     */
+    function isMessageId(id) {
+        return typeof id === 'string' &&
+            /^([0-9a-f]{16}|[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12})$/.test(id);
+    }
+
+    /**
+     * Remember a sent message until everyone it was meant for has it
+     */
+    function trackSentMessage(payload) {
+        state.sentMessages.set(payload.id, {
+            payload: payload,
+            recipients: getMeshNodes(),
+            delivered: new Set(),
+            read: new Set(),
+            status: 'queued'
+        });
+        
+        while (state.sentMessages.size > CONFIG.receiptHistoryLimit) {
+            state.sentMessages.delete(state.sentMessages.keys().next().value);
+        }
+    }
+
+    /**
+     * Every node we can reach, directly or through the mesh
+     */
+    function getMeshNodes() {
+        const direct = getOpenPeers().map(peer => peer.nodeId).filter(Boolean);
+        return Array.from(new Set([...direct, ...getRelayedNodes()]));
+    }
+
+    function setMessageStatus(id, status) {
+        const entry = state.sentMessages.get(id);
+        if (entry) entry.status = status;
+        
+        const el = document.querySelector(`#msg-${id} .message-status`);
+        if (!el) return;
+        
+        el.className = `message-status message-status-${status}`;
+        el.textContent = STATUS_ICONS[status];
+        
+        let title = STATUS_LABELS[status];
+        if (entry && entry.recipients.length > 1 && entry.delivered.size > 0) {
+            title = `Delivered to ${entry.delivered.size}/${entry.recipients.length}`;
+            if (entry.read.size > 0) title += `, read by ${entry.read.size}`;
+        }
+        el.title = title;
+    }
+
+    function sendReceipt(nodeId, ids, status) {
+        broadcast(createRouted({ t: 'ack', to: nodeId, r: ids, s: status }));
+    }
+
+    /**
+     * Confirm a received message: read if the chat is in view, else delivered
+     */
+    function acknowledgeMessage(payload) {
+        if (isChatVisible()) {
+            sendReceipt(payload.f, [payload.id], 'read');
+            return;
+        }
+        
+        sendReceipt(payload.f, [payload.id], 'delivered');
+        
+        if (!state.unreadReceipts.has(payload.f)) {
+            state.unreadReceipts.set(payload.f, new Set());
+        }
+        state.unreadReceipts.get(payload.f).add(payload.id);
+    }
+
+    /**
+     * Send read receipts for messages that arrived while the chat was out of view
+     */
+    function flushReadReceipts() {
+        if (!isChatVisible()) return;
+        
+        for (const [nodeId, ids] of state.unreadReceipts) {
+            sendReceipt(nodeId, Array.from(ids), 'read');
+        }
+        state.unreadReceipts.clear();
+    }
+
+    function isChatVisible() {
+        return !document.hidden && !document.getElementById('chatScreen')?.classList.contains('hidden');
+    }
+
+    function handleReceipt(payload) {
+        const ids = Array.isArray(payload.r) ? payload.r : [];
+        
+        for (const id of ids) {
+            const entry = state.sentMessages.get(id);
+            if (!entry) continue;
+            
+            entry.delivered.add(payload.f);
+            if (payload.s === 'read') entry.read.add(payload.f);
+            
+            setMessageStatus(id, entry.read.size > 0 ? 'read' : 'delivered');
+        }
+    }
+
+    /**
+     * Resend messages a node was meant to get but never acknowledged
+     * Nodes that already have them drop the copy and just receipt it again
+     */
+    function resendUnacked(nodeId) {
+        for (const entry of state.sentMessages.values()) {
+            if (!entry.recipients.includes(nodeId) || entry.delivered.has(nodeId)) continue;
+            
+            // The outbox sends its own in order
+            if (state.outbox.includes(entry.payload)) continue;
+            
+            if (broadcast({ ...entry.payload, rt: true }) > 0 && entry.status === 'queued') {
+                setMessageStatus(entry.payload.id, 'sent');
+            }
+        }
+    }
+
+    // ==================== OUTBOX ====================
+    
+    /**
+     * An open link that isn't in the middle of recovering
+     */
+    function hasUsableLink() {
+        return getOpenPeers().some(peer => !peer.recovery);
+    }
+
+    /**
+     * Send queued messages in the order they were composed
+     * They keep their original id and timestamp, so receivers can drop repeats
+     */
+    function flushOutbox() {
+        if (!hasUsableLink()) return;
+        
+        while (state.outbox.length > 0) {
+            const payload = state.outbox[0];
+            if (broadcast(payload) === 0) break;
+            
+            state.outbox.shift();
+            
+            // Whoever is around now is who it was meant for
+            const entry = state.sentMessages.get(payload.id);
+            if (entry) entry.recipients = getMeshNodes();
+            setMessageStatus(payload.id, 'sent');
+        }
+    }
+
+    // ==================== HEARTBEAT ====================
+    
+    /**
+     * Ping every open link and catch ones that went quiet without
+     * the peer connection noticing yet
+     */
+    function sendHeartbeats() {
+        const now = Date.now();
+        
+        for (const peer of getOpenPeers()) {
+            // A link counts from when its channel opened until the first pong
+            if (!peer.lastPong) peer.lastPong = now;
+            
+            if (!peer.recovery && now - peer.lastPong > CONFIG.heartbeatTimeout) {
+                console.log(`${peerLabel(peer)} missed heartbeats, restarting ICE`);
+                showToast('warning', 'Link Silent', `No reply from ${peerLabel(peer)}, reconnecting...`);
+                startRecovery(peer, true);
+            }
+            
+            sendToPeer(peer, { t: 'ping', ts: now });
+        }
+        
+        updateSignalIndicator();
+    }
+
+    function handlePong(peer, payload) {
+        const now = Date.now();
+        if (typeof payload.ts !== 'number' || payload.ts > now) return;
+        
+        const rtt = now - payload.ts;
+        
+        // Smoothed like RFC 3550 interarrival jitter
+        if (peer.rtt !== null) {
+            peer.jitter += (Math.abs(rtt - peer.rtt) - peer.jitter) / 16;
+        }
+        peer.rtt = rtt;
+        peer.lastPong = now;
+        
+        // Recovery started by silence ends when the link answers again
+        if (peer.recovery && peer.pc && peer.pc.connectionState === 'connected') {
+            finishRecovery(peer);
+        }
+        
+        updateSignalIndicator();
+    }
+
+    /**
+     * 0-4 bars for one link from its RTT and jitter
+     */
+    function getSignalLevel(peer) {
+        if (peer.recovery || peer.rtt === null) return 0;
+        
+        const [good, fair, poor] = CONFIG.signalThresholds;
+        let level = peer.rtt < good ? 4 : peer.rtt < fair ? 3 : peer.rtt < poor ? 2 : 1;
+        
+        // A jumpy link is worse than its average suggests
+        if (peer.jitter > peer.rtt / 2) level--;
+        
+        return Math.max(1, level);
+    }
+
+    function updateSignalIndicator() {
+        const indicator = document.getElementById('signalIndicator');
+        if (!indicator) return;
+        
+        const peers = getOpenPeers().filter(peer => peer.rtt !== null || peer.recovery);
+        
+        if (peers.length === 0) {
+            indicator.dataset.level = '0';
+            indicator.title = 'Measuring link quality...';
+            return;
+        }
+        
+        const total = peers.reduce((sum, peer) => sum + getSignalLevel(peer), 0);
+        indicator.dataset.level = String(Math.round(total / peers.length));
+        indicator.title = peers.map(peer => peer.recovery
+            ? `${peerLabel(peer)}: reconnecting`
+            : `${peerLabel(peer)}: ${peer.rtt} ms ±${Math.round(peer.jitter)}`
+        ).join('\n');
+    }
+
+    // ==================== FILE TRANSFER ====================
+    
+    // Binary frame: 8-byte file id, u32 chunk index, then the chunk
+    const CHUNK_HEADER_SIZE = 12;
+    
+    function getMaxMessageSize(peer) {
+        return peer.pc?.sctp?.maxMessageSize || peer.maxMessageSize || CONFIG.defaultMaxMessageSize;
+    }
+
+    function pickFile() {
+        document.getElementById('fileInput')?.click();
+    }
+
+    /**
+     * Offer a file to every direct link
+     * Voice notes pass their duration and waveform along as voice
+     */
+    async function sendFile(file, voice = null) {
+        if (!file) return;
+        
+        if (file.size > CONFIG.maxFileSize) {
+            showToast('warning', 'File Too Large', `Max ${formatBytes(CONFIG.maxFileSize)}`);
+            return;
+        }
+        
+        const peers = getOpenPeers().filter(peer => peer.nodeId);
+        if (peers.length === 0) {
+            showToast('error', 'Not Connected', 'Files need an open link to send');
+            return;
+        }
+        
+        try {
+            const data = await file.arrayBuffer();
+            const transfer = {
+                id: generateId(8),
+                name: file.name,
+                size: file.size,
+                mime: file.type || 'application/octet-stream',
+                sha: await sha256Hex(data),
+                data: data,
+                voice: voice,
+                links: new Map()        // Node id -> { chunkSize, total, next, run, done }
+            };
+            state.outgoingFiles.set(transfer.id, transfer);
+            
+            addMessageToChat(file.name, true, {
+                id: transfer.id,
+                status: 'queued',
+                file: { name: file.name, size: file.size, mime: transfer.mime, voice: voice, url: URL.createObjectURL(file) }
+            });
+            
+            peers.forEach(peer => offerFile(peer, transfer));
+            
+            // Files only travel over direct links; say who is left out
+            const unreached = getRelayedNodes();
+            if (unreached.length > 0) {
+                const names = unreached.map(getNodeLabel).join(', ');
+                addSystemMessage(`${names} won't get ${voice ? 'this voice note' : file.name}: no direct link`);
+                showToast('warning', 'Not Sent to Everyone', `${names} can only be reached through the mesh`);
+            }
+        } catch (e) {
+            console.error('File send failed:', e);
+            showToast('error', 'File Failed', 'Could not read that file');
+        }
+    }
+
+    function offerFile(peer, transfer) {
+        let link = transfer.links.get(peer.nodeId);
+        
+        // Chunk size is fixed per node so a resumed transfer lines up
+        if (!link) {
+            const chunkSize = Math.min(CONFIG.fileChunkSize, getMaxMessageSize(peer) - CHUNK_HEADER_SIZE);
+            link = { chunkSize, total: Math.ceil(transfer.size / chunkSize), next: 0, run: 0, done: false };
+            transfer.links.set(peer.nodeId, link);
+        }
+        
+        sendToPeer(peer, {
+            t: 'file',
+            id: transfer.id,
+            n: transfer.name,
+            s: transfer.size,
+            y: transfer.mime,
+            h: transfer.sha,
+            c: link.chunkSize,
+            v: transfer.voice || undefined,
+            f: state.localId,
+            ts: Date.now()
+        });
+    }
+
+    /**
+     * Re-offer unfinished files to a node that just came back
+     * The receiver answers with where it got to
+     */
+    function resumeTransfers(peer) {
+        for (const transfer of state.outgoingFiles.values()) {
+            const link = transfer.links.get(peer.nodeId);
+            if (link && !link.done) {
+                offerFile(peer, transfer);
+            }
+        }
+    }
+
+    function handleFileOffer(peer, payload) {
+        if (!isMessageId(payload.id)) return;
+        
+        let incoming = state.incomingFiles.get(payload.id);
+        
+        // Only the node that first offered a file id may resume it
+        if (incoming && incoming.from !== peer.nodeId) return;
+        
+        if (!incoming) {
+            const size = Number(payload.s);
+            const chunkSize = Number(payload.c);
+            
+            if (!Number.isInteger(size) || size < 0 || size > CONFIG.maxFileSize ||
+                !Number.isInteger(chunkSize) || chunkSize <= 0 || chunkSize > getMaxMessageSize(peer)) {
+                sendToPeer(peer, { t: 'file-done', id: payload.id, ok: false });
+                return;
+            }
+            
+            incoming = {
+                id: payload.id,
+                from: peer.nodeId,
+                name: String(payload.n || 'file').slice(0, 200),
+                size: size,
+                mime: String(payload.y || 'application/octet-stream'),
+                sha: payload.h,
+                voice: parseVoiceMeta(payload.v),
+                chunkSize: chunkSize,
+                total: Math.ceil(size / chunkSize),
+                chunks: [],
+                received: 0,
+                next: 0,
+                retried: false,
+                failed: false,
+                done: false
+            };
+            state.incomingFiles.set(incoming.id, incoming);
+            
+            addMessageToChat(incoming.name, false, {
+                id: incoming.id,
+                senderId: payload.f || peer.nodeId,
+                ts: payload.ts,
+                file: { name: incoming.name, size: incoming.size, mime: incoming.mime, voice: incoming.voice }
+            });
+        }
+        
+        if (incoming.done) {
+            sendToPeer(peer, { t: 'file-done', id: incoming.id, ok: !incoming.failed });
+            return;
+        }
+        
+        sendToPeer(peer, { t: 'file-accept', id: incoming.id, from: incoming.next });
+        
+        if (incoming.total === 0) {
+            completeIncoming(peer, incoming);
+        }
+    }
+
+    function handleFileAccept(peer, payload) {
+        const transfer = state.outgoingFiles.get(payload.id);
+        const link = transfer && transfer.links.get(peer.nodeId);
+        if (!link || link.done) return;
+        
+        link.next = Math.max(0, Math.min(Number(payload.from) || 0, link.total));
+        pumpChunks(peer, transfer, link);
+    }
+
+    /**
+     * Stream chunks to one peer, pausing while the channel's buffer is full
+     * A newer run (after a resume) makes older ones stop
+     */
+    async function pumpChunks(peer, transfer, link) {
+        const run = ++link.run;
+        const channel = peer.channel;
+        if (!channel) return;
+        
+        channel.bufferedAmountLowThreshold = CONFIG.fileBufferLow;
+        
+        try {
+            while (link.next < link.total && link.run === run) {
+                // Closed channels pause the transfer until the peer reconnects
+                if (channel.readyState !== 'open') return;
+                
+                if (channel.bufferedAmount > CONFIG.fileBufferHigh) {
+                    await waitForDrain(channel);
+                    continue;
+                }
+                
+                const start = link.next * link.chunkSize;
+                channel.send(encodeChunk(transfer.id, link.next, transfer.data.slice(start, start + link.chunkSize)));
+                link.next++;
+                
+                updateFileProgress(transfer.id, getOutgoingProgress(transfer), 'Sending...');
+            }
+            
+            if (link.run === run && link.next >= link.total) {
+                setMessageStatus(transfer.id, 'sent');
+                updateFileProgress(transfer.id, getOutgoingProgress(transfer), 'Verifying...');
+            }
+        } catch (e) {
+            console.error(`Sending ${transfer.name} to ${peerLabel(peer)} failed:`, e);
+        }
+    }
+
+    function waitForDrain(channel) {
+        return new Promise((resolve) => {
+            const done = () => {
+                channel.removeEventListener('bufferedamountlow', done);
+                clearTimeout(timer);
+                resolve();
+            };
+            
+            // Don't hang if the event never comes (e.g. the channel closed)
+            const timer = setTimeout(done, 1000);
+            channel.addEventListener('bufferedamountlow', done);
+        });
+    }
+
+    function getOutgoingProgress(transfer) {
+        const links = Array.from(transfer.links.values());
+        if (links.length === 0) return 0;
+        
+        const total = links.reduce((sum, link) => sum + (link.total ? link.next / link.total : 1), 0);
+        return total / links.length;
+    }
+
+    function encodeChunk(id, index, chunk) {
+        const frame = new Uint8Array(CHUNK_HEADER_SIZE + chunk.byteLength);
+        
+        for (let i = 0; i < 8; i++) {
+            frame[i] = parseInt(id.substr(i * 2, 2), 16);
+        }
+        new DataView(frame.buffer).setUint32(8, index);
+        frame.set(new Uint8Array(chunk), CHUNK_HEADER_SIZE);
+        
+        return frame.buffer;
+    }
+
+    function handleFileChunk(peer, data) {
+        if (!(data instanceof ArrayBuffer) || data.byteLength < CHUNK_HEADER_SIZE) return;
+        
+        const header = new Uint8Array(data, 0, 8);
+        const id = Array.from(header, b => b.toString(16).padStart(2, '0')).join('');
+        const index = new DataView(data).getUint32(8);
+        
+        const incoming = state.incomingFiles.get(id);
+        if (!incoming || incoming.done || incoming.from !== peer.nodeId) return;
+        
+        // The channel is ordered, so a gap means chunks were lost across a reconnect
+        if (index !== incoming.next) {
+            if (index > incoming.next && !incoming.gapRequested) {
+                incoming.gapRequested = true;
+                sendToPeer(peer, { t: 'file-accept', id: id, from: incoming.next });
+            }
+            return;
+        }
+        
+        // Never hold more than the offer declared
+        const length = data.byteLength - CHUNK_HEADER_SIZE;
+        if (length > incoming.chunkSize || incoming.received + length > incoming.size) {
+            failIncoming(peer, incoming, 'Chunk exceeds the declared size');
+            return;
+        }
+        
+        incoming.gapRequested = false;
+        incoming.chunks.push(data.slice(CHUNK_HEADER_SIZE));
+        incoming.received += length;
+        incoming.next++;
+        
+        updateFileProgress(id, incoming.next / incoming.total, 'Receiving...');
+        
+        if (incoming.next === incoming.total) {
+            completeIncoming(peer, incoming);
+        }
+    }
+
+    async function completeIncoming(peer, incoming) {
+        incoming.done = true;
+        
+        const blob = new Blob(incoming.chunks, { type: incoming.mime });
+        incoming.chunks = [];
+        
+        const ok = await sha256Hex(await blob.arrayBuffer()) === incoming.sha;
+        sendToPeer(peer, { t: 'file-done', id: incoming.id, ok: ok });
+        
+        if (ok) {
+            showFileResult(incoming.id, incoming, URL.createObjectURL(blob));
+            return;
+        }
+        
+        // Start over once before giving up
+        if (!incoming.retried) {
+            incoming.retried = true;
+            incoming.done = false;
+            incoming.received = 0;
+            incoming.next = 0;
+            updateFileProgress(incoming.id, 0, 'Checksum mismatch, retrying...');
+            sendToPeer(peer, { t: 'file-accept', id: incoming.id, from: 0 });
+        } else {
+            incoming.failed = true;
+            updateFileProgress(incoming.id, 0, 'Integrity check failed');
+        }
+    }
+
+    /**
+     * Give up on a transfer that broke its offer, dropping what arrived so far
+     */
+    function failIncoming(peer, incoming, reason) {
+        incoming.done = true;
+        incoming.failed = true;
+        incoming.chunks = [];
+        
+        sendToPeer(peer, { t: 'file-done', id: incoming.id, ok: false });
+        updateFileProgress(incoming.id, 0, reason);
+    }
+
+    function handleFileDone(peer, payload) {
+        const transfer = state.outgoingFiles.get(payload.id);
+        const link = transfer && transfer.links.get(peer.nodeId);
+        if (!link) return;
+        
+        if (payload.ok) {
+            link.done = true;
+            setMessageStatus(transfer.id, 'delivered');
+            updateFileProgress(transfer.id, 1, 'Delivered');
+        } else if (link.next >= link.total) {
+            updateFileProgress(transfer.id, getOutgoingProgress(transfer), `${peerLabel(peer)} rejected the file`);
+        }
+        
+        // Everyone has it: the data no longer needs to stay in memory
+        if (Array.from(transfer.links.values()).every(other => other.done)) {
+            state.outgoingFiles.delete(transfer.id);
+        }
+    }
+
+    function isPreviewable(mime) {
+        return /^image\/(png|jpeg|gif|webp|bmp)$/.test(mime);
+    }
+
+    function renderFileCard(file) {
+        if (file.voice) return renderVoiceCard(file);
+        
+        return `
+                    <div class="message-file">
+                        ${file.url && isPreviewable(file.mime) ? `<img class="message-image" src="${file.url}" alt="">` : ''}
+                        <div class="file-info">
+                            <span class="file-name">${escapeHtml(file.name)}</span>
+                            <span class="file-size">${formatBytes(file.size)}</span>
+                        </div>
+                        <div class="file-progress"><div class="file-progress-bar"></div></div>
+                        <span class="file-state">Waiting...</span>
+                    </div>`;
+    }
+
+    function updateFileProgress(id, fraction, text) {
+        const card = document.querySelector(`#msg-${id} .message-file`);
+        if (!card) return;
+        
+        card.querySelector('.file-progress-bar').style.width = `${Math.round(fraction * 100)}%`;
+        card.querySelector('.file-state').textContent = text;
+    }
+
+    /**
+     * Swap a received file's progress bar for a preview and a save link
+     */
+    function showFileResult(id, incoming, url) {
+        const card = document.querySelector(`#msg-${id} .message-file`);
+        if (!card) return;
+        
+        if (incoming.voice) {
+            showVoiceResult(card, url);
+            return;
+        }
+        
+        if (isPreviewable(incoming.mime)) {
+            const img = document.createElement('img');
+            img.className = 'message-image';
+            img.src = url;
+            img.alt = '';
+            card.prepend(img);
+        }
+        
+        card.querySelector('.file-progress')?.remove();
+        
+        const link = document.createElement('a');
+        link.className = 'file-state file-save';
+        link.href = url;
+        link.download = incoming.name;
+        link.textContent = 'Save';
+        card.querySelector('.file-state').replaceWith(link);
+    }
+
+    async function sha256Hex(data) {
+        const digest = await crypto.subtle.digest('SHA-256', data);
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    function formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    // ==================== VOICE NOTES ====================
+    
+    // Opus where it's available; Safari only records AAC in MP4
+    const VOICE_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4'];
+
+    function getVoiceMimeType() {
+        if (!MediaRecorder.isTypeSupported) return '';
+        return VOICE_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+
+    /**
+     * Start recording while the mic button is held down
+     */
+    async function startVoiceNote(event) {
+        event?.preventDefault();
+        if (state.voiceRecording) return;
+        
+        if (typeof MediaRecorder === 'undefined' || !navigator.mediaDevices?.getUserMedia) {
+            showToast('error', 'Not Supported', 'This browser cannot record audio');
+            return;
+        }
+        
+        if (getOpenPeers().length === 0) {
+            showToast('error', 'Not Connected', 'Voice notes need an open link to send');
+            return;
+        }
+        
+        const recording = { released: false, cancelled: false, stream: null, recorder: null, levels: [] };
+        state.voiceRecording = recording;
+        
+        try {
+            recording.stream = await navigator.mediaDevices.getUserMedia({
+                audio: { echoCancellation: true, noiseSuppression: true, channelCount: 1 }
+            });
+        } catch (e) {
+            state.voiceRecording = null;
+            showToast('error', 'Microphone Denied', 'Please enable the microphone in browser settings');
+            return;
+        }
+        
+        // Button was let go while the permission prompt was up
+        if (recording.released) {
+            releaseVoiceStream(recording);
+            state.voiceRecording = null;
+            showToast('info', 'Hold to Record', 'Keep the mic button pressed while you talk');
+            return;
+        }
+        
+        const mimeType = getVoiceMimeType();
+        const chunks = [];
+        
+        try {
+            recording.recorder = new MediaRecorder(recording.stream, {
+                ...(mimeType && { mimeType }),
+                audioBitsPerSecond: CONFIG.voiceBitrate
+            });
+        } catch (e) {
+            console.error('MediaRecorder failed:', e);
+            releaseVoiceStream(recording);
+            state.voiceRecording = null;
+            showToast('error', 'Recording Failed', 'Could not start the recorder');
+            return;
+        }
+        
+        recording.recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) chunks.push(e.data);
+        };
+        recording.recorder.onstop = () => finishVoiceNote(recording, chunks);
+        
+        sampleVoiceLevel(recording);
+        recording.recorder.start();
+        recording.startedAt = Date.now();
+        recording.ticker = setInterval(() => updateVoiceIndicator(recording), 250);
+        recording.limit = setTimeout(() => stopVoiceNote(), CONFIG.maxVoiceNoteDuration);
+        updateVoiceIndicator(recording);
+    }
+
+    /**
+     * Stop recording and send, or throw the recording away
+     */
+    function stopVoiceNote(cancel = false) {
+        const recording = state.voiceRecording;
+        if (!recording) return;
+        
+        recording.released = true;
+        recording.cancelled = cancel;
+        
+        // Still waiting on the microphone; startVoiceNote() checks released
+        if (!recording.recorder) return;
+        
+        state.voiceRecording = null;
+        recording.duration = Date.now() - recording.startedAt;
+        clearInterval(recording.ticker);
+        clearTimeout(recording.limit);
+        
+        if (recording.recorder.state !== 'inactive') {
+            recording.recorder.stop();
+        }
+        releaseVoiceStream(recording);
+        updateVoiceIndicator(null);
+    }
+
+    function cancelVoiceNote() {
+        stopVoiceNote(true);
+    }
+
+    async function finishVoiceNote(recording, chunks) {
+        if (recording.cancelled) return;
+        
+        if (recording.duration < CONFIG.minVoiceNoteDuration || chunks.length === 0) {
+            showToast('info', 'Too Short', 'Hold the mic button while you talk');
+            return;
+        }
+        
+        const type = recording.recorder.mimeType || chunks[0].type || 'audio/webm';
+        const extension = type.includes('mp4') ? 'm4a' : type.includes('ogg') ? 'ogg' : 'webm';
+        const stamp = new Date().toISOString().slice(0, 19).replace(/[-:T]/g, '');
+        const file = new File(chunks, `voice-${stamp}.${extension}`, { type });
+        
+        await sendFile(file, { d: recording.duration, w: buildWaveform(recording.levels) });
+    }
+
+    /**
+     * Sample the microphone's peak level while recording, for the waveform
+     */
+    function sampleVoiceLevel(recording) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+        
+        try {
+            const context = new AudioContextClass();
+            const analyser = context.createAnalyser();
+            analyser.fftSize = 512;
+            context.createMediaStreamSource(recording.stream).connect(analyser);
+            
+            const samples = new Uint8Array(analyser.fftSize);
+            recording.context = context;
+            recording.sampler = setInterval(() => {
+                analyser.getByteTimeDomainData(samples);
+                
+                let peak = 0;
+                for (const sample of samples) {
+                    peak = Math.max(peak, Math.abs(sample - 128));
+                }
+                recording.levels.push(peak / 128);
+            }, CONFIG.voiceSampleInterval);
+        } catch (e) {
+            console.warn('No level meter for this voice note:', e);
+        }
+    }
+
+    function releaseVoiceStream(recording) {
+        clearInterval(recording.sampler);
+        recording.context?.close().catch(() => {});
+        recording.stream?.getTracks().forEach(track => track.stop());
+    }
+
+    /**
+     * Squeeze the sampled levels into a fixed number of bars (0-100)
+     */
+    function buildWaveform(levels) {
+        const bars = CONFIG.voiceWaveformBars;
+        if (levels.length === 0) return new Array(bars).fill(0);
+        
+        const buckets = [];
+        for (let i = 0; i < bars; i++) {
+            const start = Math.floor(i * levels.length / bars);
+            const end = Math.max(start + 1, Math.floor((i + 1) * levels.length / bars));
+            buckets.push(Math.max(...levels.slice(start, end)));
+        }
+        
+        // Scale to the loudest bar so quiet recordings still show their shape
+        const loudest = Math.max(...buckets) || 1;
+        return buckets.map(level => Math.round(level / loudest * 100));
+    }
+
+    /**
+     * Check voice metadata from a file offer
+     */
+    function parseVoiceMeta(meta) {
+        if (!meta || !Array.isArray(meta.w)) return null;
+        
+        return {
+            d: Math.max(0, Math.min(Number(meta.d) || 0, CONFIG.maxVoiceNoteDuration)),
+            w: meta.w.slice(0, 100).map(level => Math.max(0, Math.min(100, Math.round(Number(level) || 0))))
+        };
+    }
+
+    function updateVoiceIndicator(recording) {
+        const indicator = document.getElementById('voiceIndicator');
+        const button = document.getElementById('micButton');
+        
+        indicator?.classList.toggle('hidden', !recording);
+        button?.classList.toggle('recording', !!recording);
+        
+        if (recording) {
+            const timer = document.getElementById('voiceTimer');
+            if (timer) timer.textContent = formatDuration(Date.now() - recording.startedAt);
+        }
+    }
+
+    function renderVoiceCard(file) {
+        const bars = file.voice.w.map(level => `<span class="voice-bar" style="height: ${Math.max(10, level)}%"></span>`).join('');
+        
+        return `
+                    <div class="message-file message-voice" data-duration="${file.voice.d}">
+                        <div class="voice-player">
+                            <button class="voice-play" onclick="BeaconMesh.playVoiceNote(this)" title="Play" ${file.url ? '' : 'disabled'}>
+                                <svg class="voice-icon-play w-4 h-4" fill="currentColor" viewBox="0 0 24 24"><path d="M8 5v14l11-7z"/></svg>
+                                <svg class="voice-icon-pause w-4 h-4" fill="currentColor" viewBox="0 0 24 24"><path d="M6 5h4v14H6zm8 0h4v14h-4z"/></svg>
+                            </button>
+                            <div class="voice-waveform">${bars}</div>
+                            <span class="voice-duration">${formatDuration(file.voice.d)}</span>
+                        </div>
+                        ${file.url ? `<audio class="voice-audio" preload="metadata" src="${file.url}"></audio>` : ''}
+                        <div class="file-progress"><div class="file-progress-bar"></div></div>
+                        <span class="file-state">Waiting...</span>
+                    </div>`;
+    }
+
+    /**
+     * Make a received voice note playable
+     */
+    function showVoiceResult(card, url) {
+        const audio = document.createElement('audio');
+        audio.className = 'voice-audio';
+        audio.preload = 'metadata';
+        audio.src = url;
+        card.appendChild(audio);
+        
+        card.querySelector('.voice-play').disabled = false;
+        card.querySelector('.file-progress')?.remove();
+        card.querySelector('.file-state')?.remove();
+    }
+
+    function playVoiceNote(button) {
+        const card = button.closest('.message-voice');
+        const audio = card?.querySelector('.voice-audio');
+        if (!audio) return;
+        
+        if (!audio.dataset.bound) {
+            audio.dataset.bound = 'true';
+            audio.addEventListener('play', () => card.classList.add('voice-playing'));
+            audio.addEventListener('pause', () => card.classList.remove('voice-playing'));
+            audio.addEventListener('timeupdate', () => updateVoicePlayback(card, audio));
+            audio.addEventListener('ended', () => {
+                audio.currentTime = 0;
+                updateVoicePlayback(card, audio);
+            });
+        }
+        
+        if (!audio.paused) {
+            audio.pause();
+            return;
+        }
+        
+        // One voice note at a time
+        document.querySelectorAll('.voice-audio').forEach(other => {
+            if (other !== audio) other.pause();
+        });
+        
+        audio.play().catch(e => {
+            console.error('Voice note playback failed:', e);
+            showToast('error', 'Playback Failed', 'This browser cannot play that recording');
+        });
+    }
+
+    function updateVoicePlayback(card, audio) {
+        // Recorded WebM often reports an Infinity duration, so use the sender's
+        const duration = Number(card.dataset.duration) / 1000 || audio.duration;
+        const fraction = duration ? Math.min(1, audio.currentTime / duration) : 0;
+        const bars = card.querySelectorAll('.voice-bar');
+        
+        bars.forEach((bar, i) => bar.classList.toggle('voice-bar-played', i < fraction * bars.length));
+        card.querySelector('.voice-duration').textContent = formatDuration(
+            audio.currentTime > 0 ? audio.currentTime * 1000 : duration * 1000
+        );
+    }
+
+    // ==================== LOCATION ====================
+    //
+    // A position travels as a message of kind 'loc' whose sealed text is the
+    // coordinates, so it's end-to-end encrypted like any other message. A
+    // live share follows up with 'loc' updates for the same message id.
+    // Cards work out distance and direction from our own position with plain
+    // math: no map tiles, no network.
+    
+    const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+    
+    function showLocationMenu() {
+        renderLocationMenu();
+        document.getElementById('locationModal')?.classList.remove('hidden');
+    }
+
+    function hideLocationMenu() {
+        document.getElementById('locationModal')?.classList.add('hidden');
+    }
+
+    function renderLocationMenu() {
+        const live = state.location.live;
+        const status = document.getElementById('locationLiveStatus');
+        if (status) {
+            status.textContent = live
+                ? `Sharing live until ${new Date(live.until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+                : `Live sharing updates your position for ${Math.round(CONFIG.liveLocationDuration / 60000)} minutes`;
+        }
+        document.getElementById('locationLiveButton')?.classList.toggle('hidden', !!live);
+        document.getElementById('locationStopButton')?.classList.toggle('hidden', !live);
+        document.getElementById('locationButton')?.classList.toggle('sharing', !!live);
+    }
+
+    /**
+     * Send our position once, or keep it updating for a while
+     */
+    async function shareLocation(live) {
+        hideLocationMenu();
+        if (!navigator.geolocation) {
+            showToast('error', 'Location Unavailable', 'This device cannot report its position');
+            return;
+        }
+        requestCompass();
+        
+        let position;
+        try {
+            position = await getCurrentPosition();
+        } catch (e) {
+            showToast('error', 'Location Unavailable', e.code === 1 ? 'Location permission was denied' : 'Could not get a position fix');
+            return;
+        }
+        setOwnPosition(position);
+        
+        if (live) {
+            stopLiveLocation();
+            position.until = Date.now() + CONFIG.liveLocationDuration;
+        }
+        
+        const payload = createRouted({
+            t: 'm', // type: message
+            k: 'loc' // kind: location
+        });
+        
+        let encrypted;
+        try {
+            encrypted = await sealText(payload, JSON.stringify(position));
+        } catch (e) {
+            console.error('Encryption failed:', e);
+            showToast('error', 'Not Sent', 'The location could not be encrypted');
+            return;
+        }
+        
+        const text = describeLocation(position);
+        trackSentMessage(payload);
+        addMessageToChat(text, true, { id: payload.id, ts: payload.ts, status: 'queued', encrypted: encrypted, location: position });
+        recordHistory({ id: payload.id, ts: payload.ts, text: text, sent: true });
+        dispatchMessage(payload);
+        
+        if (live) {
+            state.location.live = {
+                id: payload.id,
+                until: position.until,
+                sentAt: Date.now(),
+                timer: setTimeout(stopLiveLocation, CONFIG.liveLocationDuration)
+            };
+            startLocationWatch();
+            renderLocationMenu();
+            showToast('success', 'Sharing Live', 'Peers see your position update until you stop');
+        }
+    }
+
+    /**
+     * End a live share; peers get one last update marking it finished
+     */
+    function stopLiveLocation(notify = true) {
+        const live = state.location.live;
+        if (!live) return;
+        
+        clearTimeout(live.timer);
+        state.location.live = null;
+        if (notify && state.location.own) {
+            sendLocationUpdate(live.id, { ...state.location.own, until: Date.now() });
+        }
+        if (!state.location.tracking) stopLocationWatch();
+        renderLocationMenu();
+    }
+
+    async function sendLocationUpdate(id, position) {
+        const payload = createRouted({
+            t: 'loc', // type: live location update
+            m: id
+        });
+        const text = JSON.stringify(position);
+        
+        let encrypted;
+        try {
+            encrypted = await sealText(payload, text);
+        } catch (e) {
+            console.error('Location update not sent:', e);
+            return;
+        }
+        
+        applyMessageOp(payload, text, encrypted);
+        
+        // A missed update is superseded by the next; only the final one waits for a link
+        if (position.until > Date.now()) {
+            broadcast(payload);
+        } else {
+            sendMessageOp(payload);
+        }
+    }
+
+    /**
+     * Follow our own position so cards show distance and direction
+     */
+    function locateMe() {
+        if (!navigator.geolocation) {
+            showToast('error', 'Location Unavailable', 'This device cannot report its position');
+            return;
+        }
+        
+        state.location.tracking = true;
+        requestCompass();
+        startLocationWatch();
+        showToast('info', 'Locating', 'Distances appear once your position is known');
+    }
+
+    function getCurrentPosition() {
+        return new Promise((resolve, reject) => {
+            navigator.geolocation.getCurrentPosition(
+                position => resolve(readPosition(position)),
+                reject,
+                { enableHighAccuracy: true, timeout: CONFIG.locationTimeout, maximumAge: 10000 }
+            );
+        });
+    }
+
+    function readPosition(position) {
+        const coords = position.coords;
+        return {
+            lat: Math.round(coords.latitude * 1e5) / 1e5, // ~1 m
+            lon: Math.round(coords.longitude * 1e5) / 1e5,
+            acc: Math.round(coords.accuracy),
+            hdg: Number.isFinite(coords.heading) && coords.speed > 0 ? Math.round(coords.heading) : null,
+            ts: position.timestamp || Date.now()
+        };
+    }
+
+    function startLocationWatch() {
+        if (state.location.watchId !== null) return;
+        
+        state.location.watchId = navigator.geolocation.watchPosition(
+            position => handleOwnPosition(readPosition(position)),
+            e => {
+                console.warn('Position watch error:', e.message);
+                if (e.code === 1) {
+                    showToast('error', 'Location Unavailable', 'Location permission was denied');
+                    state.location.tracking = false;
+                    stopLiveLocation(false);
+                    stopLocationWatch();
+                }
+            },
+            { enableHighAccuracy: true, maximumAge: 5000 }
+        );
+    }
+
+    function stopLocationWatch() {
+        if (state.location.watchId === null) return;
+        
+        navigator.geolocation.clearWatch(state.location.watchId);
+        state.location.watchId = null;
+    }
+
+    function handleOwnPosition(position) {
+        setOwnPosition(position);
+        
+        const live = state.location.live;
+        if (live && Date.now() - live.sentAt >= CONFIG.liveLocationInterval) {
+            live.sentAt = Date.now();
+            sendLocationUpdate(live.id, { ...position, until: live.until });
+        }
+    }
+
+    function setOwnPosition(position) {
+        state.location.own = position;
+        renderLocationCards();
+    }
+
+    /**
+     * Listen for the device's compass so arrows point the right way in hand
+     */
+    function requestCompass() {
+        if (state.location.compass || typeof DeviceOrientationEvent === 'undefined') return;
+        state.location.compass = true;
+        
+        const listen = () => window.addEventListener(
+            'ondeviceorientationabsolute' in window ? 'deviceorientationabsolute' : 'deviceorientation', handleOrientation);
+        
+        // iOS asks for permission, and only from a tap
+        if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+            DeviceOrientationEvent.requestPermission()
+                .then(result => { if (result === 'granted') listen(); })
+                .catch(e => console.warn('Compass unavailable:', e));
+        } else {
+            listen();
+        }
+    }
+
+    function handleOrientation(event) {
+        let heading = null;
+        if (typeof event.webkitCompassHeading === 'number') {
+            heading = event.webkitCompassHeading;
+        } else if (event.absolute && typeof event.alpha === 'number') {
+            heading = 360 - event.alpha;
+        }
+        if (heading === null) return;
+        
+        state.location.heading = heading;
+        document.querySelectorAll('.location-arrow').forEach(arrow => {
+            arrow.style.transform = `rotate(${Math.round(arrow.dataset.bearing - heading)}deg)`;
+        });
+    }
+
+    /**
+     * Check a received position; null if it isn't one
+     */
+    function parseLocation(text) {
+        let value;
+        try {
+            value = JSON.parse(text);
+        } catch (e) {
+            return null;
+        }
+        if (!value || !Number.isFinite(value.lat) || !Number.isFinite(value.lon) ||
+            Math.abs(value.lat) > 90 || Math.abs(value.lon) > 180) {
+            return null;
+        }
+        
+        return {
+            lat: value.lat,
+            lon: value.lon,
+            acc: Number.isFinite(value.acc) && value.acc >= 0 ? Math.round(value.acc) : null,
+            hdg: Number.isFinite(value.hdg) ? ((Math.round(value.hdg) % 360) + 360) % 360 : null,
+            ts: Number.isFinite(value.ts) ? value.ts : 0,
+            until: Number.isFinite(value.until) ? value.until : 0 // Live shares: when updates stop
+        };
+    }
+
+    /**
+     * Text stand-in for a location, used in quotes and history
+     */
+    function describeLocation(location) {
+        return `📍 geo:${location.lat.toFixed(5)},${location.lon.toFixed(5)}${location.acc !== null ? ` ±${location.acc} m` : ''}`;
+    }
+
+    /**
+     * Great-circle distance in metres
+     */
+    function getDistance(from, to) {
+        const rad = Math.PI / 180;
+        const dLat = (to.lat - from.lat) * rad;
+        const dLon = (to.lon - from.lon) * rad;
+        const a = Math.sin(dLat / 2) ** 2 + Math.cos(from.lat * rad) * Math.cos(to.lat * rad) * Math.sin(dLon / 2) ** 2;
+        return 2 * 6371000 * Math.asin(Math.min(1, Math.sqrt(a)));
+    }
+
+    /**
+     * Initial bearing in degrees clockwise from north
+     */
+    function getBearing(from, to) {
+        const rad = Math.PI / 180;
+        const dLon = (to.lon - from.lon) * rad;
+        const y = Math.sin(dLon) * Math.cos(to.lat * rad);
+        const x = Math.cos(from.lat * rad) * Math.sin(to.lat * rad) - Math.sin(from.lat * rad) * Math.cos(to.lat * rad) * Math.cos(dLon);
+        return (Math.atan2(y, x) / rad + 360) % 360;
+    }
+
+    function formatDistance(metres) {
+        if (metres < 1000) return `${Math.round(metres)} m`;
+        return `${(metres / 1000).toFixed(metres < 10000 ? 1 : 0)} km`;
+    }
+
+    function getCompassPoint(degrees) {
+        return COMPASS_POINTS[Math.round(degrees / 45) % 8];
+    }
+
+    function renderLocationCard(location, isSent) {
+        const own = state.location.own;
+        const time = ts => new Date(ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const live = location.until > Date.now();
+        
+        let direction = '';
+        if (isSent) {
+            direction = '<span class="location-distance">Your position</span>';
+        } else if (own) {
+            const bearing = getBearing(own, location);
+            const heading = state.location.heading;
+            direction = `
+                            <svg class="location-arrow" data-bearing="${Math.round(bearing)}" style="transform: rotate(${Math.round(heading === null ? bearing : bearing - heading)}deg)" viewBox="0 0 24 24"><title>${heading === null ? 'Direction from north' : 'Direction from where you face'}</title><path fill="currentColor" d="M12 2l7 19-7-4-7 4z"/></svg>
+                            <span class="location-distance">${formatDistance(getDistance(own, location))}</span>
+                            <span class="location-bearing">${getCompassPoint(bearing)} · ${Math.round(bearing)}°</span>`;
+        } else {
+            direction = '<button onclick="BeaconMesh.locateMe()" class="location-locate">Show distance and direction</button>';
+        }
+        
+        return `
+                    <div class="message-location">
+                        <div class="location-header">📍 ${live ? 'Live location' : location.until ? 'Live location ended' : 'Location'}</div>
+                        <div class="location-direction">${direction}</div>
+                        <div class="location-coords">
+                            ${location.lat.toFixed(5)}, ${location.lon.toFixed(5)}${location.acc !== null ? ` ±${location.acc} m` : ''}${location.hdg !== null ? ` · heading ${getCompassPoint(location.hdg)}` : ''}
+                        </div>
+                        <div class="location-updated">${live ? `Updated ${time(location.ts)} · live until ${time(location.until)}` : `Fix at ${time(location.ts)}`}</div>
+                        ${state.autoLink ? `<a href="geo:${location.lat},${location.lon}" class="message-link" target="_blank" rel="noopener noreferrer">Open in maps</a>` : ''}
+                    </div>`;
+    }
+
+    /**
+     * Redraw every location card, e.g. after our own position moved
+     */
+    function renderLocationCards() {
+        state.messages.forEach((message, id) => {
+            if (message.location && !message.deleted) renderMessageUpdate(id);
+        });
+    }
+
+    function applyLocation(payload, message, text) {
+        // Only the author moves their pin, and only forward in time
+        if (payload.f !== message.senderId || !message.location) return;
+        
+        const location = parseLocation(text);
+        if (!location || location.ts < message.location.ts) return;
+        
+        message.location = location;
+        message.text = describeLocation(location);
+        recordHistory({ id: payload.m, ts: message.ts, text: message.text, sent: message.sent, from: message.senderId, replyTo: message.replyTo });
+    }
+
+    // ==================== SOS ALERTS ====================
+    //
+    // An SOS is a message of kind 'sos' and floods the mesh like any other,
+    // but every node that receives it gets a full-screen banner, a siren and
+    // repeating vibration, in view or not, until someone there acknowledges
+    // it. Acknowledgments go back to the sender.
+    
+    /**
+     * Confirm, then alert everyone in the mesh
+     */
+    async function sendSos() {
+        const note = prompt('Send an SOS alert to everyone in the mesh?\nAdd a short message (optional):', '');
+        if (note === null) return;
+        
+        const text = note.trim().slice(0, CONFIG.maxMessageLength) || 'SOS';
+        const payload = createRouted({
+            t: 'm', // type: message
+            k: 'sos' // kind: priority alert
+        });
+        
+        let encrypted;
+        try {
+            encrypted = await sealText(payload, text);
+        } catch (e) {
+            console.error('Encryption failed:', e);
+            showToast('error', 'Not Sent', 'The alert could not be encrypted');
+            return;
+        }
+        
+        trackSentMessage(payload);
+        addMessageToChat(text, true, { id: payload.id, ts: payload.ts, status: 'queued', encrypted: encrypted, sos: true });
+        recordHistory({ id: payload.id, ts: payload.ts, text: `🆘 ${text}`, sent: true });
+        dispatchMessage(payload);
+        showToast('warning', 'SOS Sent', 'You\'ll be told as people acknowledge it');
+    }
+
+    /**
+     * Show an SOS and sound the alarm until it's acknowledged
+     */
+    function raiseAlert(id) {
+        if (!state.alerts.queue.includes(id)) {
+            state.alerts.queue.push(id);
+        }
+        renderAlert();
+        startAlarm();
+    }
+
+    function renderAlert() {
+        const banner = document.getElementById('sosAlert');
+        const id = state.alerts.queue[0];
+        const message = id && state.messages.get(id);
+        if (!message) {
+            banner?.classList.add('hidden');
+            return;
+        }
+        
+        const more = state.alerts.queue.length - 1;
+        document.getElementById('sosAlertSender').textContent = getNodeLabel(message.senderId);
+        document.getElementById('sosAlertText').textContent = message.text;
+        document.getElementById('sosAlertTime').textContent =
+            new Date(message.ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) + (more > 0 ? ` · ${more} more waiting` : '');
+        banner?.classList.remove('hidden');
+    }
+
+    /**
+     * Dismiss the shown SOS and tell its sender we've seen it
+     */
+    function acknowledgeAlert() {
+        const id = state.alerts.queue.shift();
+        const message = id && state.messages.get(id);
+        if (message) {
+            message.acks.add(state.localId);
+            sendMessageOp(createRouted({ t: 'sos-ack', to: message.senderId, m: id }));
+            renderMessageUpdate(id);
+        }
+        
+        if (state.alerts.queue.length === 0) {
+            stopAlarm();
+        }
+        renderAlert();
+    }
+
+    /**
+     * Drop an SOS that no longer needs acknowledging (deleted by its sender)
+     */
+    function withdrawAlert(id) {
+        state.alerts.queue = state.alerts.queue.filter(queued => queued !== id);
+        if (state.alerts.queue.length === 0) {
+            stopAlarm();
+        }
+        renderAlert();
+    }
+
+    function handleSosAck(payload) {
+        const message = state.messages.get(payload.m);
+        if (!message || !message.sent || !message.sos || message.acks.has(payload.f)) return;
+        
+        message.acks.add(payload.f);
+        renderMessageUpdate(payload.m);
+        showToast('success', 'SOS Acknowledged', `${getNodeLabel(payload.f)} saw your alert`);
+    }
+
+    function describeSosAcks(message) {
+        if (!message.sent) {
+            return message.acks.has(state.localId) ? 'You acknowledged' : 'Not acknowledged yet';
+        }
+        if (message.acks.size === 0) return 'Waiting for acknowledgment';
+        return `Acknowledged by ${Array.from(message.acks, getNodeLabel).join(', ')}`;
+    }
+
+    function startAlarm() {
+        if (state.alerts.alarm) return;
+        
+        const alarm = { context: null, interval: null };
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (AudioContextClass) {
+            try {
+                const context = new AudioContextClass();
+                
+                // Two-tone siren: a slow square wave swings the pitch between 660 and 880 Hz
+                const tone = context.createOscillator();
+                const sweep = context.createOscillator();
+                const depth = context.createGain();
+                const volume = context.createGain();
+                tone.type = 'square';
+                tone.frequency.value = 770;
+                sweep.type = 'square';
+                sweep.frequency.value = 1;
+                depth.gain.value = 110;
+                volume.gain.value = 0.2;
+                
+                sweep.connect(depth);
+                depth.connect(tone.frequency);
+                tone.connect(volume);
+                volume.connect(context.destination);
+                tone.start();
+                sweep.start();
+                context.resume().catch(() => {});
+                alarm.context = context;
+            } catch (e) {
+                console.warn('Alarm sound unavailable:', e);
+            }
+        }
+        
+        const buzz = () => {
+            if (navigator.vibrate) navigator.vibrate(CONFIG.sosVibrationPattern);
+        };
+        buzz();
+        alarm.interval = setInterval(buzz, CONFIG.sosVibrationInterval);
+        state.alerts.alarm = alarm;
+    }
+
+    function stopAlarm() {
+        const alarm = state.alerts.alarm;
+        if (!alarm) return;
+        
+        clearInterval(alarm.interval);
+        alarm.context?.close().catch(() => {});
+        if (navigator.vibrate) navigator.vibrate(0);
+        state.alerts.alarm = null;
+    }
+
+    // ==================== CALLS ====================
+    
+    /**
+     * Start a call, or join one we were rung into, on every direct link
+     * The tracks ride the existing connections and are renegotiated over the data channel
+     */
+    async function startCall() {
+        if (state.call) return;
+        
+        const peers = getOpenPeers().filter(peer => peer.nodeId);
+        if (peers.length === 0) {
+            showToast('error', 'Not Connected', 'Calls need an open link');
+            return;
+        }
+        
+        if (!navigator.mediaDevices?.getUserMedia) {
+            showToast('error', 'Not Supported', 'This browser cannot make calls');
+            return;
+        }
+        
+        const call = { stream: null, muted: false, ringing: new Set(), ringTimer: null, startedAt: null };
+        state.call = call;
+        
+        try {
+            call.stream = await navigator.mediaDevices.getUserMedia({
+                audio: { echoCancellation: true, noiseSuppression: true },
+                video: false
+            });
+        } catch (e) {
+            state.call = null;
+            showToast('error', 'Microphone Denied', 'Please enable the microphone in browser settings');
+            return;
+        }
+        
+        // Hung up while the permission prompt was up
+        if (state.call !== call) {
+            call.stream.getTracks().forEach(track => track.stop());
+            return;
+        }
+        
+        hideIncomingCall();
+        
+        for (const peer of peers) {
+            addCallTracks(peer);
+            sendToPeer(peer, { t: 'call', a: 'ring' });
+            
+            // Answering: whoever rang us is already in the call
+            if (peer.inCall) {
+                call.startedAt = call.startedAt || Date.now();
+            } else {
+                call.ringing.add(peer.linkId);
+            }
+        }
+        
+        call.ringTimer = setTimeout(stopRinging, CONFIG.callRingTimeout);
+        showCallPanel();
+    }
+
+    function answerCall() {
+        startCall();
+    }
+
+    function declineCall() {
+        for (const peer of state.peers.values()) {
+            if (peer.inCall) {
+                sendToPeer(peer, { t: 'call', a: 'decline' });
+                peer.inCall = false;
+            }
+        }
+        hideIncomingCall();
+    }
+
+    function hangUp() {
+        endCall(true);
+    }
+
+    /**
+     * Leave the call, telling everyone in it unless the mesh is going away anyway
+     */
+    function endCall(notify) {
+        const call = state.call;
+        if (!call) return;
+        
+        state.call = null;
+        clearTimeout(call.ringTimer);
+        
+        for (const peer of state.peers.values()) {
+            if (notify && (peer.inCall || peer.callSenders.length > 0)) {
+                sendToPeer(peer, { t: 'call', a: 'end' });
+            }
+            removeCallTracks(peer);
+            peer.inCall = false;
+            peer.remoteStream = null;
+        }
+        
+        call.stream?.getTracks().forEach(track => track.stop());
+        hideCallPanel();
+        
+        if (call.startedAt) {
+            addSystemMessage(`Call ended after ${formatDuration(Date.now() - call.startedAt)}`);
+        }
+    }
+
+    /**
+     * Give up on peers that never answered
+     */
+    function stopRinging() {
+        if (!state.call) return;
+        
+        for (const linkId of state.call.ringing) {
+            const peer = state.peers.get(linkId);
+            if (peer) {
+                sendToPeer(peer, { t: 'call', a: 'end' });
+                removeCallTracks(peer);
+            }
+        }
+        state.call.ringing.clear();
+        
+        if (!endCallIfEmpty()) updateCallStatus();
+    }
+
+    /**
+     * End the call once nobody is in it or being rung
+     */
+    function endCallIfEmpty() {
+        if (!state.call || state.call.ringing.size > 0) return false;
+        if (Array.from(state.peers.values()).some(peer => peer.inCall)) return false;
+        
+        const answered = !!state.call.startedAt;
+        endCall(true);
+        showToast('info', answered ? 'Call Ended' : 'No Answer', answered ? 'Everyone left the call' : 'Nobody picked up');
+        return true;
+    }
+
+    function handleCallMessage(peer, payload) {
+        switch (payload.a) {
+            case 'ring': // peer started or joined the call
+                peer.inCall = true;
+                
+                if (!state.call) {
+                    showIncomingCall(peer);
+                    break;
+                }
+                
+                // Already in it: send our media back and show theirs
+                addCallTracks(peer);
+                state.call.ringing.delete(peer.linkId);
+                state.call.startedAt = state.call.startedAt || Date.now();
+                renderCallTiles();
+                break;
+            case 'decline':
+                if (!state.call) break;
+                
+                state.call.ringing.delete(peer.linkId);
+                removeCallTracks(peer);
+                showToast('info', 'Call Declined', `${peerLabel(peer)} declined the call`);
+                if (!endCallIfEmpty()) updateCallStatus();
+                break;
+            case 'end': // peer hung up
+                peer.inCall = false;
+                peer.remoteStream = null;
+                
+                if (!state.call) {
+                    if (!Array.from(state.peers.values()).some(other => other.inCall)) {
+                        hideIncomingCall();
+                    }
+                    break;
+                }
+                
+                state.call.ringing.delete(peer.linkId);
+                removeCallTracks(peer);
+                renderCallTiles();
+                endCallIfEmpty();
+                break;
+            default:
+                console.log('Unknown call action:', payload.a);
+        }
+    }
+
+    function addCallTracks(peer) {
+        if (!peer.pc || peer.callSenders.length > 0) return;
+        
+        const stream = state.call.stream;
+        peer.callSenders = stream.getTracks().map(track => peer.pc.addTrack(track, stream));
+    }
+
+    function removeCallTracks(peer) {
+        for (const sender of peer.callSenders) {
+            try {
+                peer.pc?.removeTrack(sender);
+            } catch (e) {}
+        }
+        peer.callSenders = [];
+    }
+
+    /**
+     * Offer changed tracks on an established link
+     * Pairing and ICE restarts make their own offers
+     */
+    async function renegotiate(peer) {
+        if (!peer.connectedAt || peer.recovery || peer.pc.signalingState !== 'stable') return;
+        
+        try {
+            peer.makingOffer = true;
+            await peer.pc.setLocalDescription();
+            sendSignal(peer.nodeId, { k: 'offer', sdp: peer.pc.localDescription.sdp });
+        } catch (e) {
+            console.error(`Renegotiating with ${peerLabel(peer)} failed:`, e);
+        } finally {
+            peer.makingOffer = false;
+        }
+    }
+
+    function handleRemoteTrack(peer, event) {
+        const stream = event.streams[0] || new MediaStream([event.track]);
+        
+        peer.remoteStream = stream;
+        stream.onremovetrack = () => renderCallTiles();
+        
+        if (state.call) renderCallTiles();
+    }
+
+    function toggleMute() {
+        if (!state.call) return;
+        
+        state.call.muted = !state.call.muted;
+        state.call.stream.getAudioTracks().forEach(track => {
+            track.enabled = !state.call.muted;
+        });
+        updateCallControls();
+    }
+
+    /**
+     * Turn the camera on or off; the first time adds a video track to every call link
+     */
+    async function toggleCamera() {
+        if (!state.call) return;
+        
+        const [current] = state.call.stream.getVideoTracks();
+        if (current) {
+            current.enabled = !current.enabled;
+            updateCallControls();
+            return;
+        }
+        
+        let track;
+        try {
+            const camera = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'user' } });
+            [track] = camera.getVideoTracks();
+        } catch (e) {
+            showToast('error', 'Camera Denied', 'Please enable camera in browser settings');
+            return;
+        }
+        
+        if (!state.call) {
+            track.stop();
+            return;
+        }
+        
+        state.call.stream.addTrack(track);
+        for (const peer of state.peers.values()) {
+            if (peer.pc && peer.callSenders.length > 0) {
+                peer.callSenders.push(peer.pc.addTrack(track, state.call.stream));
+            }
+        }
+        updateCallControls();
+    }
+
+    function showIncomingCall(peer) {
+        const banner = document.getElementById('incomingCall');
+        const text = document.getElementById('incomingCallText');
+        if (text) text.textContent = `${peerLabel(peer)} is calling`;
+        banner?.classList.remove('hidden');
+        
+        if (navigator.vibrate) {
+            navigator.vibrate([200, 100, 200]);
+        }
+    }
+
+    function hideIncomingCall() {
+        document.getElementById('incomingCall')?.classList.add('hidden');
+    }
+
+    function showCallPanel() {
+        document.getElementById('callPanel')?.classList.remove('hidden');
+        renderCallTiles();
+        updateCallControls();
+    }
+
+    function hideCallPanel() {
+        document.getElementById('callPanel')?.classList.add('hidden');
+        
+        const tiles = document.getElementById('callTiles');
+        if (tiles) tiles.innerHTML = '';
+        
+        const local = document.getElementById('localVideo');
+        if (local) local.srcObject = null;
+    }
+
+    /**
+     * One tile per peer in the call; existing tiles are kept so playback doesn't restart
+     */
+    function renderCallTiles() {
+        const container = document.getElementById('callTiles');
+        if (!container || !state.call) return;
+        
+        const existing = new Map(Array.from(container.children).map(tile => [tile.dataset.link, tile]));
+        
+        for (const peer of state.peers.values()) {
+            if (!peer.inCall || !peer.remoteStream) continue;
+            
+            let tile = existing.get(peer.linkId);
+            existing.delete(peer.linkId);
+            
+            if (!tile) {
+                tile = document.createElement('div');
+                tile.className = 'call-tile';
+                tile.dataset.link = peer.linkId;
+                
+                const video = document.createElement('video');
+                video.autoplay = true;
+                video.playsInline = true;
+                
+                const label = document.createElement('span');
+                label.className = 'call-tile-label';
+                label.textContent = peerLabel(peer);
+                
+                tile.append(video, label);
+                container.appendChild(tile);
+            }
+            
+            const video = tile.querySelector('video');
+            if (video.srcObject !== peer.remoteStream) {
+                video.srcObject = peer.remoteStream;
+            }
+            tile.classList.toggle('call-tile-audio', peer.remoteStream.getVideoTracks().length === 0);
+        }
+        
+        existing.forEach(tile => tile.remove());
+        updateCallStatus();
+    }
+
+    function updateCallStatus() {
+        const status = document.getElementById('callStatus');
+        if (!status || !state.call) return;
+        
+        const count = Array.from(state.peers.values()).filter(peer => peer.inCall).length;
+        status.textContent = count > 0
+            ? `In call with ${count} ${count === 1 ? 'peer' : 'peers'}`
+            : 'Calling...';
+    }
+
+    function updateCallControls() {
+        if (!state.call) return;
+        
+        const [video] = state.call.stream.getVideoTracks();
+        const cameraOn = !!video && video.enabled;
+        
+        document.getElementById('callMuteButton')?.classList.toggle('call-control-off', state.call.muted);
+        document.getElementById('callCameraButton')?.classList.toggle('call-control-off', !cameraOn);
+        
+        const local = document.getElementById('localVideo');
+        if (local) {
+            if (video && local.srcObject !== state.call.stream) local.srcObject = state.call.stream;
+            local.classList.toggle('hidden', !cameraOn);
+        }
+    }
+
+    // ==================== VERIFICATION ====================
+    
+    // 64 symbols, so each one carries 6 bits of the code
+    const SAS_SYMBOLS = [
+        ['🐶', 'Dog'], ['🐱', 'Cat'], ['🦁', 'Lion'], ['🐎', 'Horse'], ['🦄', 'Unicorn'], ['🐷', 'Pig'], ['🐘', 'Elephant'], ['🐰', 'Rabbit'],
+        ['🐼', 'Panda'], ['🐓', 'Rooster'], ['🐧', 'Penguin'], ['🐢', 'Turtle'], ['🐟', 'Fish'], ['🐙', 'Octopus'], ['🦋', 'Butterfly'], ['🌷', 'Flower'],
+        ['🌳', 'Tree'], ['🌵', 'Cactus'], ['🍄', 'Mushroom'], ['🌏', 'Globe'], ['🌙', 'Moon'], ['☁️', 'Cloud'], ['🔥', 'Fire'], ['🍌', 'Banana'],
+        ['🍎', 'Apple'], ['🍓', 'Strawberry'], ['🌽', 'Corn'], ['🍕', 'Pizza'], ['🎂', 'Cake'], ['❤️', 'Heart'], ['😀', 'Smiley'], ['🤖', 'Robot'],
+        ['🎩', 'Hat'], ['👓', 'Glasses'], ['🔧', 'Spanner'], ['🎅', 'Santa'], ['👍', 'Thumbs Up'], ['☂️', 'Umbrella'], ['⌛', 'Hourglass'], ['⏰', 'Clock'],
+        ['🎁', 'Gift'], ['💡', 'Light Bulb'], ['📕', 'Book'], ['✏️', 'Pencil'], ['📎', 'Paperclip'], ['✂️', 'Scissors'], ['🔒', 'Lock'], ['🔑', 'Key'],
+        ['🔨', 'Hammer'], ['☎️', 'Telephone'], ['🏁', 'Flag'], ['🚂', 'Train'], ['🚲', 'Bicycle'], ['✈️', 'Aeroplane'], ['🚀', 'Rocket'], ['🏆', 'Trophy'],
+        ['⚽', 'Ball'], ['🎸', 'Guitar'], ['🎺', 'Trumpet'], ['🔔', 'Bell'], ['⚓', 'Anchor'], ['🎧', 'Headphones'], ['📁', 'Folder'], ['📌', 'Pin']
+    ];
+
+    /**
+     * Work out the link's security code and ask the user to compare it
+     */
+    async function startVerification(peer) {
+        if (peer.verification.symbols) return;
+        
+        try {
+            const symbols = await computeSas(peer);
+            if (!symbols || peer.verification.symbols) return;
+            
+            peer.verification.symbols = symbols;
+            showSasPrompt(peer);
+        } catch (e) {
+            console.error(`Security code for ${peerLabel(peer)} failed:`, e);
+        }
+    }
+
+    /**
+     * Both DTLS fingerprints of a link, sorted so each end gets the same string
+     */
+    function getFingerprintPair(peer) {
+        const localDescription = peer.pc?.localDescription;
+        const remoteDescription = peer.pc?.remoteDescription;
+        if (!localDescription || !remoteDescription) return null;
+        
+        const local = extractSignal(localDescription.sdp, localDescription.type).fingerprint;
+        const remote = extractSignal(remoteDescription.sdp, remoteDescription.type).fingerprint;
+        if (!local || !remote) return null;
+        
+        return [local, remote].map(fp => `${fp.algorithm} ${fp.hash}`).sort().join('|');
+    }
+
+    /**
+     * Short authentication string from both DTLS fingerprints
+     * A man in the middle must present a different certificate to each
+     * side, so the two ends would see different codes
+     */
+    async function computeSas(peer) {
+        const input = getFingerprintPair(peer);
+        if (!input) return null;
+        
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`beaconmesh-sas|${input}`)));
+        
+        const symbols = [];
+        for (let i = 0; i < CONFIG.sasLength; i++) {
+            const bit = i * 6;
+            const window = (digest[bit >> 3] << 8) | digest[(bit >> 3) + 1];
+            symbols.push(SAS_SYMBOLS[(window >> (10 - (bit & 7))) & 63]);
+        }
+        return symbols;
+    }
+
+    function getVerificationStatus(peer) {
+        const { local, remote } = peer.verification;
+        if (local === false || remote === false) return 'mismatch';
+        if (local && remote) return 'verified';
+        return 'pending';
+    }
+
+    /**
+     * The user compared the code with the other person
+     */
+    function confirmSas(linkId, matches) {
+        const peer = state.peers.get(linkId);
+        if (!peer || peer.verification.local !== null) return;
+        
+        peer.verification.local = matches;
+        sendToPeer(peer, { t: 'sas', ok: matches });
+        updateVerification(peer);
+    }
+
+    function handleSasVerdict(peer, payload) {
+        if (peer.verification.remote !== null) return;
+        
+        peer.verification.remote = payload.ok === true;
+        updateVerification(peer);
+    }
+
+    function updateVerification(peer) {
+        const status = getVerificationStatus(peer);
+        const label = peerLabel(peer);
+        const prompt = document.getElementById(`sas-${peer.linkId}`);
+        
+        if (prompt) {
+            let text = '';
+            if (status === 'verified') {
+                text = 'Verified';
+            } else if (status === 'mismatch') {
+                text = 'Codes did not match. The link was dropped.';
+            } else if (peer.verification.local) {
+                text = `Waiting for ${label} to confirm...`;
+            } else if (peer.verification.remote) {
+                text = `${label} confirmed. Check the code and confirm too.`;
+            }
+            
+            prompt.dataset.status = status;
+            prompt.querySelector('.sas-state').textContent = text;
+            if (peer.verification.local !== null || status === 'mismatch') {
+                prompt.querySelector('.sas-actions')?.remove();
+            }
+        }
+        
+        if (status === 'mismatch') {
+            rejectLink(peer);
+            return;
+        }
+        
+        if (status === 'verified') {
+            trustLinkContact(peer);
+            showToast('success', 'Link Verified', `Security code confirmed with ${label}`);
+        }
+        renderRoster();
+    }
+
+    /**
+     * Drop a link whose codes didn't match; it may be intercepted
+     */
+    function rejectLink(peer) {
+        const text = `Security codes with ${peerLabel(peer)} did not match`;
+        
+        addSystemMessage(`${text}. The link was dropped because it may be intercepted.`);
+        showToast('error', 'Verification Failed', 'The link may be intercepted');
+        removePeer(peer);
+        renderRoster();
+        
+        if (getOpenPeers().length === 0 && !state.pendingPeer) {
+            endSession(text);
+        }
+    }
+
+    function showSasPrompt(peer) {
+        const container = document.getElementById('chatMessages');
+        if (!container || document.getElementById(`sas-${peer.linkId}`)) return;
+        
+        container.insertAdjacentHTML('beforeend', `
+            <div id="sas-${peer.linkId}" class="sas-prompt" data-status="pending">
+                <p class="sas-title">Verify your link with ${escapeHtml(peerLabel(peer))}</p>
+                <div class="sas-symbols">${renderSasSymbols(peer.verification.symbols)}</div>
+                <p class="sas-hint">Read these out loud. They must be the same on both devices.</p>
+                <div class="sas-actions">
+                    <button onclick="BeaconMesh.confirmSas('${peer.linkId}', false)" class="btn-danger">They differ</button>
+                    <button onclick="BeaconMesh.confirmSas('${peer.linkId}', true)" class="btn-secondary">They match</button>
+                </div>
+                <span class="sas-state"></span>
+            </div>
+        `);
+        
+        // The other side may have answered before we got here
+        if (peer.verification.remote !== null) {
+            updateVerification(peer);
+        }
+        
+        requestAnimationFrame(() => {
+            container.scrollTo({
+                top: container.scrollHeight,
+                behavior: 'smooth'
+            });
+        });
+    }
+
+    function renderSasSymbols(symbols) {
+        return symbols.map(([emoji, word]) => `
+                    <span class="sas-symbol">
+                        <span class="sas-emoji">${emoji}</span>
+                        <span class="sas-word">${word}</span>
+                    </span>`).join('');
+    }
+
+    // ==================== IDENTITY & CONTACTS ====================
+    
+    const IDENTITY_KEY_PARAMS = { name: 'ECDSA', namedCurve: 'P-256' };
+    const IDENTITY_SIGN_PARAMS = { name: 'ECDSA', hash: 'SHA-256' };
+    
+    /**
+     * Open (and on first use create) the local IndexedDB database
+     */
+    function openDatabase() {
+        if (!state.database) {
+            state.database = new Promise((resolve, reject) => {
+                const request = indexedDB.open(CONFIG.databaseName, 2);
+                
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+                    if (event.oldVersion < 1) {
+                        db.createObjectStore('identity');
+                        db.createObjectStore('contacts', { keyPath: 'keyId' });
+                    }
+                    if (event.oldVersion < 2) {
+                        db.createObjectStore('history', { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => {
+                    // Let a panic wipe in another tab delete the database
+                    request.result.onversionchange = () => {
+                        request.result.close();
+                        state.database = null;
+                    };
+                    resolve(request.result);
+                };
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return state.database;
+    }
+
+    /**
+     * Run one request against an object store and resolve once it's committed
+     */
+    async function dbRequest(storeName, mode, action) {
+        const db = await openDatabase();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = action(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Load this device's signing key and contacts, creating the key on first run
+     * The private key is not extractable; IndexedDB stores the CryptoKey itself
+     */
+    async function loadIdentity() {
+        let identity = null;
+        
+        try {
+            identity = await dbRequest('identity', 'readonly', store => store.get('self'));
+            
+            if (!identity) {
+                const keys = await crypto.subtle.generateKey(IDENTITY_KEY_PARAMS, false, ['sign', 'verify']);
+                identity = { privateKey: keys.privateKey, publicKey: keys.publicKey, name: '' };
+                await dbRequest('identity', 'readwrite', store => store.put(identity, 'self'));
+            }
+            
+            const contacts = await dbRequest('contacts', 'readonly', store => store.getAll());
+            contacts.forEach(contact => state.contacts.set(contact.keyId, contact));
+        } catch (e) {
+            // Private browsing can block IndexedDB: use a key for this session only
+            console.error('Identity storage unavailable:', e);
+            const keys = await crypto.subtle.generateKey(IDENTITY_KEY_PARAMS, false, ['sign', 'verify']);
+            identity = { privateKey: keys.privateKey, publicKey: keys.publicKey, name: '', temporary: true };
+            showToast('warning', 'No Storage', 'Your identity and contacts will not be kept');
+        }
+        
+        const spki = await crypto.subtle.exportKey('spki', identity.publicKey);
+        state.identity = {
+            ...identity,
+            publicKeyBase64: bufferToBase64(spki),
+            keyId: await sha256Hex(spki)
+        };
+        
+        renderIdentity();
+        getOpenPeers().forEach(peer => sendIdentity(peer));
+    }
+
+    async function setDisplayName(name) {
+        if (!state.identity) return;
+        
+        state.identity.name = cleanDisplayName(name);
+        renderIdentity();
+        
+        if (!state.identity.temporary) {
+            const { privateKey, publicKey } = state.identity;
+            try {
+                await dbRequest('identity', 'readwrite', store => store.put({ privateKey, publicKey, name: state.identity.name }, 'self'));
+            } catch (e) {
+                console.error('Saving name failed:', e);
+            }
+        }
+        
+        // Peers already linked get the new name straight away
+        for (const peer of getOpenPeers()) {
+            peer.identitySent = false;
+            sendIdentity(peer);
+        }
+    }
+
+    function cleanDisplayName(name) {
+        return String(name || '').replace(/[\u0000-\u001f]/g, '').trim().slice(0, CONFIG.maxDisplayNameLength);
+    }
+
+    /**
+     * What an identity card signs: the name, the node id and this link's
+     * DTLS fingerprints, so a card can't be replayed on another connection
+     */
+    function encodeIdentityCard(name, nodeId, fingerprints) {
+        return new TextEncoder().encode(`beaconmesh-id|${name}|${nodeId}|${fingerprints}`);
+    }
+
+    async function sendIdentity(peer) {
+        if (!state.identity || !peer.nodeId || peer.identitySent) return;
+        
+        const fingerprints = getFingerprintPair(peer);
+        if (!fingerprints) return;
+        
+        peer.identitySent = true;
+        
+        try {
+            const name = state.identity.name;
+            const signature = await crypto.subtle.sign(
+                IDENTITY_SIGN_PARAMS,
+                state.identity.privateKey,
+                encodeIdentityCard(name, state.localId, fingerprints)
+            );
+            
+            sendToPeer(peer, {
+                t: 'id',
+                n: name,
+                k: state.identity.publicKeyBase64,
+                sig: bufferToBase64(signature)
+            });
+        } catch (e) {
+            peer.identitySent = false;
+            console.error(`Identity card for ${peerLabel(peer)} failed:`, e);
+        }
+    }
+
+    async function handleIdentityCard(peer, payload) {
+        const fingerprints = getFingerprintPair(peer);
+        if (!fingerprints || !peer.nodeId || typeof payload.k !== 'string' || typeof payload.sig !== 'string') return;
+        
+        const signedName = String(payload.n || '');
+        
+        try {
+            const spki = base64ToBuffer(payload.k);
+            const key = await crypto.subtle.importKey('spki', spki, IDENTITY_KEY_PARAMS, true, ['verify']);
+            const valid = await crypto.subtle.verify(
+                IDENTITY_SIGN_PARAMS,
+                key,
+                base64ToBuffer(payload.sig),
+                encodeIdentityCard(signedName, peer.nodeId, fingerprints)
+            );
+            
+            if (!valid) {
+                showToast('error', 'Invalid Identity', `${peerLabel(peer)} sent an identity card that does not check out`);
+                return;
+            }
+            
+            await recordContact(peer, await sha256Hex(spki), payload.k, cleanDisplayName(signedName));
+        } catch (e) {
+            console.error(`Identity card from ${peerLabel(peer)} failed:`, e);
+        }
+    }
+
+    /**
+     * Add or refresh the contact behind a verified identity card
+     */
+    async function recordContact(peer, keyId, publicKey, name) {
+        let contact = state.contacts.get(keyId);
+        const returning = !!contact && contact.lastSeen < (state.connectionStartTime || Date.now());
+        
+        if (!contact) {
+            // A known name under a new key: a new device, or someone pretending
+            const previous = name && Array.from(state.contacts.values())
+                .find(other => other.name.toLowerCase() === name.toLowerCase());
+            
+            contact = {
+                keyId: keyId,
+                publicKey: publicKey,
+                name: name,
+                trust: 'unverified',
+                firstSeen: Date.now(),
+                lastSeen: 0,
+                replaces: previous ? previous.keyId : null
+            };
+        }
+        
+        contact.name = name || contact.name;
+        contact.lastSeen = Date.now();
+        state.contacts.set(keyId, contact);
+        state.nodeContacts.set(peer.nodeId, keyId);
+        
+        const pinned = state.e2e.identities.get(peer.nodeId);
+        if (pinned && pinned !== keyId) {
+            console.warn(`Dropping relayed keys for ${peerLabel(peer)}: its link proved another identity`);
+            forgetNodeKeys(peer.nodeId);
+        }
+        
+        // A link whose security code was already confirmed vouches for the key
+        if (getVerificationStatus(peer) === 'verified') {
+            contact.trust = 'trusted';
+        }
+        
+        await saveContact(contact);
+        
+        if (contact.replaces) {
+            showKeyChangeWarning(contact);
+        } else if (returning) {
+            showToast('success', 'Contact Recognised', `${contact.name || peerLabel(peer)} is back`);
+        }
+        
+        renderRoster();
+        renderIdentity();
+    }
+
+    async function saveContact(contact) {
+        if (state.identity?.temporary) return;
+        
+        try {
+            await dbRequest('contacts', 'readwrite', store => store.put(contact));
+        } catch (e) {
+            console.error('Saving contact failed:', e);
+        }
+    }
+
+    /**
+     * Trust the contact on a link once its security code is confirmed
+     */
+    function trustLinkContact(peer) {
+        const contact = state.contacts.get(state.nodeContacts.get(peer.nodeId));
+        if (!contact || contact.trust === 'trusted') return;
+        
+        contact.trust = 'trusted';
+        saveContact(contact);
+        renderIdentity();
+    }
+
+    function toggleContactTrust(keyId) {
+        const contact = state.contacts.get(keyId);
+        if (!contact) return;
+        
+        contact.trust = contact.trust === 'trusted' ? 'unverified' : 'trusted';
+        saveContact(contact);
+        renderContacts();
+        renderRoster();
+    }
+
+    async function removeContact(keyId) {
+        if (!state.contacts.delete(keyId)) return;
+        
+        if (!state.identity?.temporary) {
+            try {
+                await dbRequest('contacts', 'readwrite', store => store.delete(keyId));
+            } catch (e) {
+                console.error('Removing contact failed:', e);
+            }
+        }
+        
+        renderContacts();
+        renderIdentity();
+    }
+
+    function showKeyChangeWarning(contact) {
+        const text = `${contact.name}'s identity key has changed. This may be a new device, or someone pretending to be them.`;
+        
+        state.keyChangeWarning = contact.keyId;
+        document.getElementById('keyChangeText').textContent = text;
+        document.getElementById('keyChangeWarning')?.classList.remove('hidden');
+        
+        addSystemMessage(text);
+        showToast('error', 'Identity Key Changed', `Verify the security code with ${contact.name}`);
+        
+        if (navigator.vibrate) {
+            navigator.vibrate([300, 100, 300]);
+        }
+    }
+
+    /**
+     * Accept the new key: it replaces the old contact
+     */
+    async function acceptNewKey() {
+        const contact = state.contacts.get(state.keyChangeWarning);
+        dismissKeyChange();
+        if (!contact || !contact.replaces) return;
+        
+        const previous = contact.replaces;
+        contact.replaces = null;
+        await saveContact(contact);
+        await removeContact(previous);
+    }
+
+    function dismissKeyChange() {
+        state.keyChangeWarning = null;
+        document.getElementById('keyChangeWarning')?.classList.add('hidden');
+    }
+
+    /**
+     * Display name for a node: its contact name if it sent one
+     */
+    function getNodeLabel(nodeId) {
+        const contact = state.contacts.get(state.nodeContacts.get(nodeId));
+        return contact?.name || formatNodeId(nodeId);
+    }
+
+    function formatKeyId(keyId) {
+        return keyId.substring(0, 16).toUpperCase().match(/.{4}/g).join(' ');
+    }
+
+    function renderIdentity() {
+        const input = document.getElementById('displayNameInput');
+        if (input && document.activeElement !== input) {
+            input.value = state.identity?.name || '';
+        }
+        
+        const fingerprint = document.getElementById('identityFingerprint');
+        if (fingerprint && state.identity) {
+            fingerprint.textContent = formatKeyId(state.identity.keyId);
+        }
+        
+        const count = document.getElementById('contactCount');
+        if (count) count.textContent = state.contacts.size;
+    }
+
+    function showContacts() {
+        renderContacts();
+        document.getElementById('contactsModal')?.classList.remove('hidden');
+    }
+
+    function hideContacts() {
+        document.getElementById('contactsModal')?.classList.add('hidden');
+    }
+
+    function renderContacts() {
+        const list = document.getElementById('contactsList');
+        if (!list) return;
+        
+        const contacts = Array.from(state.contacts.values()).sort((a, b) => b.lastSeen - a.lastSeen);
+        
+        if (contacts.length === 0) {
+            list.innerHTML = '<p class="text-gray-500 text-sm">No contacts yet. Peers you connect to appear here.</p>';
+            return;
+        }
+        
+        list.innerHTML = contacts.map(contact => `
+            <div class="contact-row">
+                <div class="contact-info">
+                    <span class="contact-name">${escapeHtml(contact.name || 'Unnamed')}</span>
+                    <span class="contact-key">${formatKeyId(contact.keyId)}</span>
+                    <span class="contact-seen">Last seen ${new Date(contact.lastSeen).toLocaleString()}</span>
+                </div>
+                <span class="contact-trust contact-trust-${contact.trust}">${contact.trust === 'trusted' ? 'Trusted' : 'Unverified'}</span>
+                <div class="contact-actions">
+                    <button onclick="BeaconMesh.toggleContactTrust('${contact.keyId}')" class="btn-secondary">${contact.trust === 'trusted' ? 'Untrust' : 'Trust'}</button>
+                    <button onclick="BeaconMesh.removeContact('${contact.keyId}')" class="btn-danger">Remove</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    function bufferToBase64(buffer) {
+        let binary = '';
+        new Uint8Array(buffer).forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    }
+
+    function base64ToBuffer(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes.buffer;
+    }
+
+    // ==================== END-TO-END ENCRYPTION ====================
+    //
+    // DTLS only protects each hop, so relays could read what they forward.
+    // Text messages are encrypted once by the sender under its own sender
+    // key, a hash chain that ratchets forward with every message. Each
+    // generation of that chain is handed to every other node separately,
+    // encrypted with a key agreed by ECDH (X25519, or P-256 where X25519
+    // is missing) between the two nodes. Key announcements are signed with
+    // the identity key, and the first identity seen for a node is pinned for
+    // the session. A direct link or a known contact proves that identity;
+    // for any other node reached through relays it's only as good as the
+    // first announcement, so those nodes show as unverified and a relay
+    // could have put its own keys in their place.
+    
+    function createEncryptionState(enabled) {
+        return {
+            enabled: enabled,
+            keys: null,                 // Promise of our ECDH key pairs for this session
+            nodeKeys: new Map(),        // Node id -> { x, p, raw } public keys it announced
+            identities: new Map(),      // Node id -> identity key id its keys are pinned to
+            pairKeys: new Map(),        // Node id -> AES-GCM key shared with that node
+            announcedTo: new Set(),     // Nodes we've sent our announcement to directly
+            sending: null,              // { g, start, chain, index, count } current sender key
+            generations: new Map(),     // Our sender key generation -> starting chain
+            shared: new Set(),          // `${nodeId}|${generation}` already handed out
+            receiving: new Map(),       // `${nodeId}|${generation}` -> { chain, index, skipped }
+            pending: new Map(),         // Node id -> payloads waiting for its keys
+            queue: Promise.resolve()    // Ratchet steps run one at a time
+        };
+    }
+
+    /**
+     * Chain key steps must not interleave, so run them in order
+     */
+    function runEncryptionTask(task) {
+        const run = state.e2e.queue.then(task);
+        state.e2e.queue = run.catch(() => {});
+        return run;
+    }
+
+    function toggleEncryption() {
+        state.e2e.enabled = !state.e2e.enabled;
+        updateEncryptionButton();
+        
+        showToast('info',
+            state.e2e.enabled ? 'Encryption On' : 'Encryption Off',
+            state.e2e.enabled ? 'Relays can\'t read new messages, but unverified peers may be impersonated' : 'Relays can read new messages; links stay DTLS encrypted');
+    }
+
+    function updateEncryptionButton() {
+        const button = document.getElementById('e2eButton');
+        if (!button) return;
+        
+        button.classList.toggle('e2e-on', state.e2e.enabled);
+        button.title = state.e2e.enabled ? 'End-to-end encryption on (peers marked unverified may be impersonated by a relay)' : 'End-to-end encryption off';
+    }
+
+    /**
+     * Our ECDH key pairs for this session, made on first use
+     */
+    function getEncryptionKeys() {
+        if (!state.e2e.keys) {
+            state.e2e.keys = (async () => {
+                const p = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, false, ['deriveBits']);
+                
+                let x = null;
+                try {
+                    x = await crypto.subtle.generateKey({ name: 'X25519' }, false, ['deriveBits']);
+                } catch (e) {
+                    console.log('X25519 unavailable, using P-256 only');
+                }
+                
+                return {
+                    p: p,
+                    x: x,
+                    pRaw: bufferToBase64(await crypto.subtle.exportKey('raw', p.publicKey)),
+                    xRaw: x ? bufferToBase64(await crypto.subtle.exportKey('raw', x.publicKey)) : ''
+                };
+            })();
+        }
+        return state.e2e.keys;
+    }
+
+    function encodeKeyAnnouncement(nodeId, sessionId, xRaw, pRaw) {
+        return new TextEncoder().encode(`beaconmesh-ek|${nodeId}|${sessionId}|${xRaw}|${pRaw}`);
+    }
+
+    /**
+     * Tell the mesh (or one node) our public keys, signed with our identity
+     * Sent even with encryption off, so we can still read nodes that have it on
+     */
+    async function announceKeys(toNodeId = null) {
+        if (!state.identity || !state.sessionId || !window.crypto?.subtle) return;
+        
+        try {
+            const keys = await getEncryptionKeys();
+            const signature = await crypto.subtle.sign(
+                IDENTITY_SIGN_PARAMS,
+                state.identity.privateKey,
+                encodeKeyAnnouncement(state.localId, state.sessionId, keys.xRaw, keys.pRaw)
+            );
+            
+            const payload = createRouted({
+                t: 'ek',
+                x: keys.xRaw,
+                k: keys.pRaw,
+                ik: state.identity.publicKeyBase64,
+                sig: bufferToBase64(signature)
+            });
+            if (toNodeId) {
+                payload.to = toNodeId;
+                state.e2e.announcedTo.add(toNodeId);
+            } else {
+                getMeshNodes().forEach(nodeId => state.e2e.announcedTo.add(nodeId));
+            }
+            broadcast(payload);
+        } catch (e) {
+            console.error('Key announcement failed:', e);
+        }
+    }
+
+    async function handleKeyAnnouncement(payload) {
+        const nodeId = payload.f;
+        if (!nodeId || nodeId === state.localId || typeof payload.k !== 'string' || typeof payload.ik !== 'string') return;
+        
+        try {
+            const identitySpki = base64ToBuffer(payload.ik);
+            const identityKey = await crypto.subtle.importKey('spki', identitySpki, IDENTITY_KEY_PARAMS, true, ['verify']);
+            const xRaw = typeof payload.x === 'string' ? payload.x : '';
+            
+            const valid = await crypto.subtle.verify(
+                IDENTITY_SIGN_PARAMS,
+                identityKey,
+                base64ToBuffer(payload.sig),
+                encodeKeyAnnouncement(nodeId, state.sessionId, xRaw, payload.k)
+            );
+            
+            // A direct link already proved which identity this node has, or
+            // an earlier announcement pinned one; keys never move to another
+            const keyId = await sha256Hex(identitySpki);
+            const proven = state.nodeContacts.get(nodeId);
+            const pinned = state.e2e.identities.get(nodeId);
+            
+            if (!valid || (proven && proven !== keyId) || (pinned && pinned !== keyId)) {
+                console.warn(`Rejected key announcement for ${formatNodeId(nodeId)}`);
+                showToast('error', 'Key Rejected', `Encryption keys for ${getNodeLabel(nodeId)} failed verification`);
+                return;
+            }
+            
+            // A relayed node signed by a known contact can be shown by name
+            if (!proven && state.contacts.has(keyId)) {
+                state.nodeContacts.set(nodeId, keyId);
+                renderRoster();
+            }
+            
+            state.e2e.identities.set(nodeId, keyId);
+            
+            const raw = `${xRaw}|${payload.k}`;
+            const known = state.e2e.nodeKeys.get(nodeId);
+            
+            if (!known || known.raw !== raw) {
+                // New keys (e.g. the node resumed): anything shared with it must go again
+                state.e2e.pairKeys.delete(nodeId);
+                for (const entry of Array.from(state.e2e.shared)) {
+                    if (entry.startsWith(`${nodeId}|`)) state.e2e.shared.delete(entry);
+                }
+                
+                state.e2e.nodeKeys.set(nodeId, {
+                    raw: raw,
+                    p: await crypto.subtle.importKey('raw', base64ToBuffer(payload.k), { name: 'ECDH', namedCurve: 'P-256' }, true, []),
+                    x: xRaw ? await crypto.subtle.importKey('raw', base64ToBuffer(xRaw), { name: 'X25519' }, true, []).catch(() => null) : null
+                });
+            }
+            
+            if (!state.e2e.announcedTo.has(nodeId)) {
+                announceKeys(nodeId);
+            }
+            
+            await shareSenderKey(nodeId);
+            retryPending(nodeId);
+        } catch (e) {
+            console.error(`Key announcement from ${formatNodeId(nodeId)} failed:`, e);
+        }
+    }
+
+    /**
+     * Drop a node's keys, e.g. when its link proves a different identity
+     * than the relayed announcement they were pinned to
+     */
+    function forgetNodeKeys(nodeId) {
+        state.e2e.nodeKeys.delete(nodeId);
+        state.e2e.pairKeys.delete(nodeId);
+        state.e2e.identities.delete(nodeId);
+        for (const entry of Array.from(state.e2e.shared)) {
+            if (entry.startsWith(`${nodeId}|`)) state.e2e.shared.delete(entry);
+        }
+    }
+
+    /**
+     * AES-GCM key shared with one node, from ECDH and HKDF
+     */
+    async function getPairKey(nodeId) {
+        if (state.e2e.pairKeys.has(nodeId)) return state.e2e.pairKeys.get(nodeId);
+        
+        const theirs = state.e2e.nodeKeys.get(nodeId);
+        if (!theirs) return null;
+        
+        const ours = await getEncryptionKeys();
+        const useX25519 = !!(ours.x && theirs.x);
+        const secret = await crypto.subtle.deriveBits(
+            useX25519 ? { name: 'X25519', public: theirs.x } : { name: 'ECDH', public: theirs.p },
+            useX25519 ? ours.x.privateKey : ours.p.privateKey,
+            256
+        );
+        
+        const base = await crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey']);
+        const key = await crypto.subtle.deriveKey(
+            {
+                name: 'HKDF',
+                hash: 'SHA-256',
+                salt: new TextEncoder().encode(state.sessionId),
+                info: new TextEncoder().encode(`beaconmesh-pair|${[state.localId, nodeId].sort().join('|')}`)
+            },
+            base,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+        
+        state.e2e.pairKeys.set(nodeId, key);
+        return key;
+    }
+
+    /**
+     * Start a new sender key generation; nodes that leave never see it
+     */
+    function rotateSenderKey() {
+        const start = crypto.getRandomValues(new Uint8Array(32));
+        const generation = generateId(4);
+        
+        state.e2e.sending = { g: generation, chain: start, index: 0, count: 0 };
+        state.e2e.generations.set(generation, start);
+        
+        // Keep a few old ones for nodes catching up on queued messages
+        while (state.e2e.generations.size > 4) {
+            state.e2e.generations.delete(state.e2e.generations.keys().next().value);
+        }
+    }
+
+    /**
+     * Hand a sender key generation to one node, encrypted with our pair key
+     * Nodes always get the generation's start so queued messages still open
+     */
+    async function shareSenderKey(nodeId, generation = null, force = false) {
+        if (!state.e2e.sending) rotateSenderKey();
+        
+        const g = generation || state.e2e.sending.g;
+        const start = state.e2e.generations.get(g);
+        const sharedKey = `${nodeId}|${g}`;
+        if (!start || (!force && state.e2e.shared.has(sharedKey))) return;
+        
+        const pairKey = await getPairKey(nodeId);
+        if (!pairKey) return;
+        
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv: iv, additionalData: new TextEncoder().encode(`sk|${state.localId}|${nodeId}|${g}`) },
+            pairKey,
+            start
+        );
+        
+        state.e2e.shared.add(sharedKey);
+        broadcast(createRouted({
+            t: 'sk',
+            to: nodeId,
+            g: g,
+            iv: bufferToBase64(iv),
+            c: bufferToBase64(ciphertext)
+        }));
+    }
+
+    async function handleSenderKey(payload) {
+        const nodeId = payload.f;
+        const pairKey = await getPairKey(nodeId);
+        
+        // Their announcement hasn't reached us yet
+        if (!pairKey) {
+            addPending(nodeId, payload);
+            return;
+        }
+        
+        try {
+            const start = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: base64ToBuffer(payload.iv), additionalData: new TextEncoder().encode(`sk|${nodeId}|${state.localId}|${payload.g}`) },
+                pairKey,
+                base64ToBuffer(payload.c)
+            );
+            
+            const slot = `${nodeId}|${payload.g}`;
+            if (!state.e2e.receiving.has(slot)) {
+                state.e2e.receiving.set(slot, { chain: new Uint8Array(start), index: 0, skipped: new Map() });
+            }
+            retryPending(nodeId);
+        } catch (e) {
+            console.error(`Sender key from ${formatNodeId(nodeId)} did not decrypt:`, e);
+        }
+    }
+
+    /**
+     * One ratchet step: a message key for this index and the next chain key
+     */
+    async function ratchetChain(chain) {
+        const hmacKey = await crypto.subtle.importKey('raw', chain, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+        const [messageKey, nextChain] = await Promise.all([
+            crypto.subtle.sign('HMAC', hmacKey, new Uint8Array([1])),
+            crypto.subtle.sign('HMAC', hmacKey, new Uint8Array([2]))
+        ]);
+        return { messageKey: new Uint8Array(messageKey), chain: new Uint8Array(nextChain) };
+    }
+
+    /**
+     * Binds the ciphertext to the fields relays could otherwise swap
+     */
+    function getMessageAad(payload) {
+        return new TextEncoder().encode(
+            `${payload.t}|${payload.id}|${payload.f}|${payload.ts}|${payload.m || ''}|${payload.re || ''}|${payload.on === false ? 0 : 1}|${payload.k || ''}`);
+    }
+
+    /**
+     * Encrypt a routed message's text in place, for every node in the mesh
+     */
+    function encryptMessage(payload, text) {
+        return runEncryptionTask(async () => {
+            if (!state.e2e.sending || state.e2e.sending.count >= CONFIG.senderKeyRotation) {
+                rotateSenderKey();
+            }
+            
+            const sending = state.e2e.sending;
+            const step = await ratchetChain(sending.chain);
+            const index = sending.index;
+            sending.chain = step.chain;
+            sending.index++;
+            sending.count++;
+            
+            const key = await crypto.subtle.importKey('raw', step.messageKey, 'AES-GCM', false, ['encrypt']);
+            const iv = crypto.getRandomValues(new Uint8Array(12));
+            const ciphertext = await crypto.subtle.encrypt(
+                { name: 'AES-GCM', iv: iv, additionalData: getMessageAad(payload) },
+                key,
+                new TextEncoder().encode(text)
+            );
+            
+            payload.e = { g: sending.g, n: index, iv: bufferToBase64(iv), c: bufferToBase64(ciphertext) };
+            
+            // Anyone who hasn't got this generation yet gets it now
+            await Promise.all(getMeshNodes().map(nodeId => shareSenderKey(nodeId)));
+        });
+    }
+
+    /**
+     * Decrypt a routed message, or park it until the sender's key arrives
+     * Resolves to the text, or null if it can't be read (yet)
+     */
+    function decryptMessage(payload) {
+        return runEncryptionTask(async () => {
+            const { g, n, iv, c } = payload.e;
+            const receiving = state.e2e.receiving.get(`${payload.f}|${g}`);
+            
+            if (!receiving) {
+                // Ask once per generation; retries come when the sender's keys arrive
+                const waiting = (state.e2e.pending.get(payload.f) || []).some(parked => parked.e && parked.e.g === g);
+                addPending(payload.f, payload);
+                if (!waiting) {
+                    broadcast(createRouted({ t: 'sk-req', to: payload.f, g: g }));
+                }
+                return null;
+            }
+            
+            let messageKey = receiving.skipped.get(n);
+            receiving.skipped.delete(n);
+            
+            if (!messageKey) {
+                if (!(n >= receiving.index) || n - receiving.index > CONFIG.maxSkippedMessageKeys) {
+                    console.warn(`Message ${payload.id} is outside the key window`);
+                    return null;
+                }
+                
+                // Keep keys for messages that overtook this one on another path
+                while (receiving.index <= n) {
+                    const step = await ratchetChain(receiving.chain);
+                    if (receiving.index < n) receiving.skipped.set(receiving.index, step.messageKey);
+                    else messageKey = step.messageKey;
+                    receiving.chain = step.chain;
+                    receiving.index++;
+                }
+                
+                while (receiving.skipped.size > CONFIG.maxSkippedMessageKeys) {
+                    receiving.skipped.delete(receiving.skipped.keys().next().value);
+                }
+            }
+            
+            const key = await crypto.subtle.importKey('raw', messageKey, 'AES-GCM', false, ['decrypt']);
+            const plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: base64ToBuffer(iv), additionalData: getMessageAad(payload) },
+                key,
+                base64ToBuffer(c)
+            );
+            return new TextDecoder().decode(plaintext);
+        });
+    }
+
+    /**
+     * Put a message's text (or an edit, deletion or reaction) on a payload,
+     * encrypted when end-to-end encryption is on
+     */
+    async function sealText(payload, text) {
+        if (!state.e2e.enabled) {
+            payload.d = text; // data
+            return false;
+        }
+        
+        await encryptMessage(payload, text);
+        return true;
+    }
+
+    async function receiveEncrypted(peer, payload) {
+        try {
+            const text = await decryptMessage(payload);
+            if (text === null) return;
+            
+            handleSealedPayload(peer, payload, text, true);
+        } catch (e) {
+            console.error(`Payload ${payload.id} from ${formatNodeId(payload.f)} did not decrypt:`, e);
+        }
+    }
+
+    function addPending(nodeId, payload) {
+        if (!state.e2e.pending.has(nodeId)) {
+            state.e2e.pending.set(nodeId, []);
+        }
+        
+        const queue = state.e2e.pending.get(nodeId);
+        if (!queue.includes(payload)) queue.push(payload);
+        if (queue.length > CONFIG.maxPendingEncrypted) queue.shift();
+    }
+
+    /**
+     * Try parked payloads from a node again now that more of its keys are here
+     */
+    function retryPending(nodeId) {
+        const queue = state.e2e.pending.get(nodeId);
+        if (!queue) return;
+        
+        state.e2e.pending.delete(nodeId);
+        
+        for (const payload of queue) {
+            if (payload.t === 'sk') {
+                handleSenderKey(payload);
+            } else {
+                receiveEncrypted(null, payload);
+            }
+        }
+    }
+
+    // ==================== MESSAGE HISTORY ====================
+    //
+    // Off by default: nothing is written unless history is enabled with a
+    // passphrase. Each message is stored as its own AES-GCM record under a
+    // key derived from the passphrase with PBKDF2; only the record id is
+    // readable on disk. The key lives in memory while history is unlocked.
+    
+    const HISTORY_CHECK = 'beaconmesh-history';
+    
+    /**
+     * Read whether history was set up on this device
+     */
+    async function loadHistory() {
+        try {
+            state.history.settings = await dbRequest('identity', 'readonly', store => store.get('history')) || null;
+        } catch (e) {
+            console.error('History settings unavailable:', e);
+        }
+        renderHistoryStatus();
+    }
+
+    async function deriveHistoryKey(passphrase, salt, iterations) {
+        const base = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: salt, iterations: iterations },
+            base,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    async function encryptHistory(key, value) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+        return { iv: bufferToBase64(iv), c: bufferToBase64(ciphertext) };
+    }
+
+    async function decryptHistory(key, sealed) {
+        const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBuffer(sealed.iv) }, key, base64ToBuffer(sealed.c));
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    }
+
+    function readPassphrase() {
+        const input = document.getElementById('historyPassphrase');
+        const passphrase = input ? input.value : '';
+        if (input) input.value = '';
+        return passphrase;
+    }
+
+    async function enableHistory() {
+        const passphrase = readPassphrase();
+        if (passphrase.length < CONFIG.minPassphraseLength) {
+            showToast('warning', 'Passphrase Too Short', `Use at least ${CONFIG.minPassphraseLength} characters`);
+            return;
+        }
+        
+        try {
+            const salt = crypto.getRandomValues(new Uint8Array(16));
+            const key = await deriveHistoryKey(passphrase, salt, CONFIG.historyIterations);
+            const settings = {
+                salt: bufferToBase64(salt),
+                iterations: CONFIG.historyIterations,
+                check: await encryptHistory(key, HISTORY_CHECK)
+            };
+            
+            await dbRequest('identity', 'readwrite', store => store.put(settings, 'history'));
+            state.history.settings = settings;
+            state.history.key = key;
+            
+            showToast('success', 'History On', 'New messages are saved encrypted on this device');
+        } catch (e) {
+            console.error('Enabling history failed:', e);
+            showToast('error', 'History Unavailable', 'This browser cannot store history');
+        }
+        
+        renderHistoryStatus();
+        renderHistory();
+    }
+
+    async function unlockHistory() {
+        const settings = state.history.settings;
+        if (!settings) return;
+        
+        const passphrase = readPassphrase();
+        
+        try {
+            const key = await deriveHistoryKey(passphrase, base64ToBuffer(settings.salt), settings.iterations);
+            if (await decryptHistory(key, settings.check) !== HISTORY_CHECK) throw new Error('check mismatch');
+            state.history.key = key;
+        } catch (e) {
+            showToast('error', 'Wrong Passphrase', 'History stays locked');
+            return;
+        }
+        
+        showToast('success', 'History Unlocked', 'Messages are being saved again');
+        renderHistoryStatus();
+        renderHistory();
+        restoreHistory();
+    }
+
+    function lockHistory() {
+        state.history.key = null;
+        state.history.openSession = null;
+        renderHistoryStatus();
+        renderHistory();
+    }
+
+    /**
+     * Save one chat message, if history is unlocked
+     * entry: id, ts, text, sent, from (sender node id), replyTo
+     */
+    async function recordHistory(entry) {
+        const key = state.history.key;
+        if (!key || !isMessageId(entry.id)) return;
+        
+        const record = {
+            ...entry,
+            session: state.sessionId,
+            name: entry.sent ? (state.identity?.name || 'You') : getNodeLabel(entry.from),
+            peers: getMeshNodes().map(nodeId => getNodeLabel(nodeId))
+        };
+        
+        try {
+            const sealed = await encryptHistory(key, record);
+            await dbRequest('history', 'readwrite', store => store.put({ id: entry.id, ...sealed }));
+        } catch (e) {
+            console.error('Saving history failed:', e);
+        }
+    }
+
+    /**
+     * Drop a message deleted for everyone from history too
+     */
+    async function forgetHistory(id) {
+        if (!state.history.key) return;
+        
+        try {
+            await dbRequest('history', 'readwrite', store => store.delete(id));
+        } catch (e) {
+            console.error('Removing history failed:', e);
+        }
+    }
+
+    /**
+     * Every saved message, oldest first; records that don't open are skipped
+     */
+    async function readHistory() {
+        const key = state.history.key;
+        if (!key) return [];
+        
+        const records = await dbRequest('history', 'readonly', store => store.getAll());
+        const entries = [];
+        
+        for (const record of records) {
+            try {
+                entries.push(await decryptHistory(key, record));
+            } catch (e) {
+                console.warn(`History record ${record.id} did not decrypt`);
+            }
+        }
+        
+        return entries.sort((a, b) => a.ts - b.ts);
+    }
+
+    /**
+     * Put this session's saved messages back in the chat, e.g. after a refresh
+     */
+    async function restoreHistory() {
+        if (!state.history.key || !state.sessionId) return;
+        
+        try {
+            const entries = (await readHistory()).filter(entry =>
+                entry.session === state.sessionId && !document.getElementById(`msg-${entry.id}`));
+            
+            entries.forEach(entry => addMessageToChat(entry.text, entry.sent, {
+                id: entry.id,
+                senderId: entry.sent ? null : entry.from,
+                senderName: entry.name,
+                ts: entry.ts,
+                replyTo: entry.replyTo || null
+            }));
+            
+            if (entries.length > 0) {
+                addSystemMessage(`Restored ${entries.length} message${entries.length === 1 ? '' : 's'} from history`);
+            }
+        } catch (e) {
+            console.error('Restoring history failed:', e);
+        }
+    }
+
+    async function exportHistory(format) {
+        if (!state.history.key) return;
+        
+        const entries = (await readHistory()).filter(entry =>
+            !state.history.peerFilter || entry.name === state.history.peerFilter || entry.peers.includes(state.history.peerFilter));
+        
+        let content, mime;
+        if (format === 'json') {
+            content = JSON.stringify(entries.map(({ session, ts, name, sent, text }) => ({ session, ts: new Date(ts).toISOString(), name, sent, text })), null, 2);
+            mime = 'application/json';
+        } else {
+            content = entries.map(entry =>
+                `[${entry.session ? entry.session.toUpperCase() : '-'}] ${new Date(entry.ts).toLocaleString()} ${entry.name}: ${entry.text}`
+            ).join('\n');
+            mime = 'text/plain';
+        }
+        
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([content], { type: mime }));
+        link.download = `beaconmesh-history-${new Date().toISOString().slice(0, 10)}.${format === 'json' ? 'json' : 'txt'}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    /**
+     * Destroy everything this device stored: history, contacts and the
+     * identity key. A fresh identity is made for whatever happens next.
+     */
+    async function panicWipe() {
+        state.history.key = null;
+        state.history.settings = null;
+        state.history.openSession = null;
+        state.history.peerFilter = '';
+        state.contacts.clear();
+        state.nodeContacts.clear();
+        clearChatMessages();
+        hideHistory();
+        
+        try {
+            if (state.database) {
+                const db = await state.database.catch(() => null);
+                if (db) db.close();
+                state.database = null;
+            }
+            await new Promise((resolve, reject) => {
+                const request = indexedDB.deleteDatabase(CONFIG.databaseName);
+                request.onsuccess = () => resolve();
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => resolve();
+            });
+        } catch (e) {
+            console.error('Wipe failed:', e);
+        }
+        
+        state.identity = null;
+        await loadIdentity().catch(e => console.error('Identity unavailable:', e));
+        renderHistoryStatus();
+        showToast('success', 'Wiped', 'History, contacts and keys were destroyed');
+    }
+
+    function getHistoryStatus() {
+        if (!state.history.settings) return 'Off';
+        return state.history.key ? 'On' : 'Locked';
+    }
+
+    function renderHistoryStatus() {
+        const status = document.getElementById('historyStatus');
+        if (status) status.textContent = getHistoryStatus();
+    }
+
+    function showHistory() {
+        renderHistory();
+        document.getElementById('historyModal')?.classList.remove('hidden');
+    }
+
+    function hideHistory() {
+        document.getElementById('historyModal')?.classList.add('hidden');
+    }
+
+    function openHistorySession(index) {
+        // An index into the rendered list; session ids never go into inline handlers
+        const sessionId = state.history.sessionIds[index];
+        if (sessionId === undefined) return;
+        
+        state.history.openSession = state.history.openSession === sessionId ? null : sessionId;
+        renderHistory();
+    }
+
+    function filterHistory(index) {
+        state.history.peerFilter = state.history.peerNames[index] || '';
+        renderHistory();
+    }
+
+    async function renderHistory() {
+        const container = document.getElementById('historyContent');
+        if (!container) return;
+        
+        const status = getHistoryStatus();
+        
+        if (status !== 'On') {
+            container.innerHTML = `
+                <p class="modal-text">${status === 'Off'
+                    ? 'Nothing is stored by default. Set a passphrase to keep an encrypted copy of your messages on this device.'
+                    : 'History is locked. Enter your passphrase to browse it and keep saving messages.'}</p>
+                <input type="password" id="historyPassphrase" class="identity-input" placeholder="Passphrase" autocomplete="off"
+                    onkeydown="if (event.key === 'Enter') BeaconMesh.${status === 'Off' ? 'enableHistory' : 'unlockHistory'}()">
+                <div class="modal-actions">
+                    <button onclick="BeaconMesh.${status === 'Off' ? 'enableHistory' : 'unlockHistory'}()" class="btn-primary">${status === 'Off' ? 'Enable History' : 'Unlock'}</button>
+                    ${status === 'Locked' ? '<button onclick="BeaconMesh.panicWipe()" class="btn-danger">Panic Wipe</button>' : ''}
+                </div>
+            `;
+            return;
+        }
+        
+        let entries = [];
+        try {
+            entries = await readHistory();
+        } catch (e) {
+            console.error('Reading history failed:', e);
+        }
+        
+        const names = Array.from(new Set(entries.flatMap(entry => [entry.sent ? null : entry.name, ...entry.peers]).filter(Boolean))).sort();
+        const filter = state.history.peerFilter;
+        state.history.peerNames = names;
+        if (filter) {
+            entries = entries.filter(entry => entry.name === filter || entry.peers.includes(filter));
+        }
+        
+        // Newest session first
+        const sessions = new Map();
+        for (const entry of entries) {
+            const session = String(entry.session || '-');
+            if (!sessions.has(session)) sessions.set(session, []);
+            sessions.get(session).push(entry);
+        }
+        const ordered = Array.from(sessions.entries()).reverse();
+        state.history.sessionIds = ordered.map(([session]) => session);
+        
+        container.innerHTML = `
+            <select class="identity-input history-filter" onchange="BeaconMesh.filterHistory(this.value)">
+                <option value="-1">All peers</option>
+                ${names.map((name, index) => `<option value="${index}"${name === filter ? ' selected' : ''}>${escapeHtml(name)}</option>`).join('')}
+            </select>
+            <div class="history-list">
+                ${ordered.length === 0 ? '<p class="text-gray-500 text-sm">No saved messages yet.</p>' : ordered.map(([session, items], index) => `
+                    <div class="history-session">
+                        <button onclick="BeaconMesh.openHistorySession(${index})" class="history-session-header">
+                            <span class="contact-name">Session ${escapeHtml(session.toUpperCase())}</span>
+                            <span class="contact-seen">${new Date(items[0].ts).toLocaleString()} · ${items.length} message${items.length === 1 ? '' : 's'}</span>
+                            <span class="contact-key">${escapeHtml(Array.from(new Set(items.flatMap(entry => entry.peers))).join(', ') || 'No peers')}</span>
+                        </button>
+                        ${state.history.openSession === session ? `
+                            <div class="history-messages">
+                                ${items.map(entry => `
+                                    <div class="history-message">
+                                        <span class="history-meta">${new Date(entry.ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} ${escapeHtml(entry.sent ? 'You' : entry.name)}</span>
+                                        <span class="history-text">${formatMessage(entry.text)}</span>
+                                    </div>
+                                `).join('')}
+                            </div>
+                        ` : ''}
+                    </div>
+                `).join('')}
+            </div>
+            <div class="modal-actions">
+                <button onclick="BeaconMesh.exportHistory('json')" class="btn-secondary">Export JSON</button>
+                <button onclick="BeaconMesh.exportHistory('text')" class="btn-secondary">Export Text</button>
+                <button onclick="BeaconMesh.lockHistory()" class="btn-secondary">Lock</button>
+                <button onclick="BeaconMesh.panicWipe()" class="btn-danger">Panic Wipe</button>
+            </div>
+        `;
+    }
+
+    // ==================== CHAT FUNCTIONALITY ====================
+    
+    function onConnectionEstablished(peer) {
+        if (peer.connectedAt) return;
+        peer.connectedAt = Date.now();
+        
+        if (state.pendingPeer === peer) {
+            state.pendingPeer = null;
+            stopScanners();
+            stopQRAnimations();
+            resetUI();
+        }
+        
+        if (state.awaitingResume) {
+            peer.resumed = true;
+            leaveResumeState();
+        }
+        
+        // Links introduced over the mesh form in the background
+        if (!peer.introduced) {
+            showScreen('chatScreen');
+        }
+        
+        // Update home stats
+        updateMeshStats();
+        renderRoster();
+        renderHostSlots();
+        
+        // Start connection duration timer with the first link
+        if (!state.connectionStartTime) {
+            state.connectionStartTime = Date.now();
+            updateConnectionDuration();
+            state.connectionCheckInterval = setInterval(updateConnectionDuration, 1000);
+            state.heartbeatInterval = setInterval(sendHeartbeats, CONFIG.heartbeatInterval);
+        }
+        
+        // Focus message input
+        setTimeout(() => {
+            document.getElementById('messageInput')?.focus();
+        }, 100);
+    }
+
+    function updateConnectionDuration() {
+        if (!state.connectionStartTime) return;
+        
+        if (state.awaitingResume) {
+            document.getElementById('connectionDuration').textContent = 'Connection lost';
+            return;
+        }
+        
+        const duration = Math.floor((Date.now() - state.connectionStartTime) / 1000);
+        const minutes = Math.floor(duration / 60);
+        const seconds = duration % 60;
+        
+        document.getElementById('connectionDuration').textContent = 
+            `Connected ${minutes}:${seconds.toString().padStart(2, '0')}`;
+    }
+
+    function updateMeshStats() {
+        const count = getOpenPeers().length;
+        const indicator = document.getElementById('homeStatusIndicator');
+        
+        document.getElementById('homeConnectionCount').textContent = String(count);
+        indicator.textContent = '●';
+        indicator.classList.toggle('text-neon', count > 0);
+        indicator.classList.toggle('text-yellow-500', count === 0);
+    }
+
+    /**
+     * Tell every neighbour which nodes we link to directly
+     */
+    function broadcastRoster() {
+        const peers = [state.localId];
+        for (const peer of getOpenPeers()) {
+            if (peer.nodeId) peers.push(peer.nodeId);
+        }
+        broadcast({ t: 'roster', peers: peers });
+    }
+
+    /**
+     * Render the chat roster: direct links first, then peers reached through the mesh
+     */
+    function renderRoster() {
+        const container = document.getElementById('peerRoster');
+        if (!container) return;
+        
+        // Links being recovered keep their place in the roster
+        const direct = Array.from(state.peers.values()).filter(peer => peer.nodeId &&
+            (peer.recovery || (peer.channel && peer.channel.readyState === 'open')));
+        const directIds = direct.map(peer => peer.nodeId);
+        const relayed = getRelayedNodes().filter(id => !directIds.includes(id));
+        const total = direct.length + relayed.length;
+        
+        container.innerHTML = [
+            ...direct.map(peer => {
+                if (peer.recovery) {
+                    return `<span class="roster-chip roster-chip-recovering" title="Offline, reconnecting">${escapeHtml(getNodeLabel(peer.nodeId))}</span>`;
+                }
+                const verified = getVerificationStatus(peer) === 'verified';
+                const away = getPresence(peer.nodeId) === 'away';
+                return `<span class="roster-chip roster-chip-direct${verified ? ' roster-chip-verified' : ''}${away ? ' roster-chip-away' : ''}" title="${verified ? 'Direct link, verified' : 'Direct link'}${away ? ', away' : ''}">${escapeHtml(getNodeLabel(peer.nodeId))}</span>`;
+            }),
+            ...relayed.map(id => {
+                const linking = getIntroducedPeer(id) ? ' roster-chip-linking' : '';
+                const away = getPresence(id) === 'away';
+                // Only a known contact's key vouches for a node we have no link to
+                const known = state.nodeContacts.has(id);
+                return `<span class="roster-chip roster-chip-relayed${linking}${known ? '' : ' roster-chip-unverified'}${away ? ' roster-chip-away' : ''}" title="Reached through the mesh${known ? '' : ', identity unverified'}${away ? ', away' : ''}">${escapeHtml(getNodeLabel(id))}</span>`;
+            })
+        ].join('');
+        container.classList.toggle('hidden', total === 0);
+        
+        const typeEl = document.getElementById('connectionType');
+        if (typeEl) {
+            const nodes = [...directIds, ...relayed];
+            const away = nodes.filter(id => getPresence(id) === 'away').length;
+            const offline = nodes.filter(id => getPresence(id) === 'offline').length;
+            typeEl.textContent = [
+                total > 1 ? `Mesh · ${total} peers` : 'P2P Direct',
+                away > 0 ? `${away} away` : '',
+                offline > 0 ? `${offline} offline` : ''
+            ].filter(Boolean).join(' · ');
+        }
+        
+        // Verified once every direct link's code has been confirmed by both sides
+        const badge = document.getElementById('verificationBadge');
+        if (badge) {
+            const verified = direct.length > 0 && direct.every(peer => getVerificationStatus(peer) === 'verified');
+            const relayedKnown = relayed.every(id => state.nodeContacts.has(id));
+            badge.textContent = verified && relayedKnown ? 'Verified' : 'Unverified';
+            badge.classList.toggle('verification-badge-verified', verified && relayedKnown);
+            badge.title = !verified ? 'Compare security codes to verify'
+                : relayedKnown ? 'Security codes confirmed on every link' : 'Some peers are reached through the mesh and aren\'t known contacts';
+        }
+        
+        document.getElementById('addPeerButton')?.classList.toggle('hidden', !state.isHost);
+    }
+
+    async function sendMessage() {
+        const input = document.getElementById('messageInput');
+        const message = input.value.trim();
+        
+        if (!message) return;
+        if (message.length > CONFIG.maxMessageLength) {
+            showToast('warning', 'Message Too Long', `Max ${CONFIG.maxMessageLength} characters`);
+            return;
+        }
+        
+        const compose = state.compose;
+        input.value = '';
+        updateCharCount();
+        stopTyping();
+        
+        if (compose && compose.mode === 'edit') {
+            submitEdit(compose.id, message);
+            return;
+        }
+        
+        const payload = createRouted({
+            t: 'm' // type: message
+        });
+        if (compose) {
+            payload.re = compose.id; // quoted reply
+            state.compose = null;
+            renderComposeContext();
+        }
+        
+        let encrypted;
+        try {
+            encrypted = await sealText(payload, message);
+        } catch (e) {
+            console.error('Encryption failed:', e);
+            showToast('error', 'Not Sent', 'The message could not be encrypted');
+            input.value = message;
+            updateCharCount();
+            return;
+        }
+        
+        trackSentMessage(payload);
+        addMessageToChat(message, true, { id: payload.id, ts: payload.ts, status: 'queued', encrypted: encrypted, replyTo: payload.re });
+        recordHistory({ id: payload.id, ts: payload.ts, text: message, sent: true, replyTo: payload.re });
+        dispatchMessage(payload);
+    }
+
+    /**
+     * Send a new message we've shown, or queue it while no link can carry it
+     */
+    function dispatchMessage(payload) {
+        // Hold it back while no link can carry it, or behind older queued messages
+        if (state.outbox.length > 0 || !hasUsableLink()) {
+            state.outbox.push(payload);
+            showToast('info', 'Queued', 'Message will be sent when a peer reconnects');
+            return;
+        }
+        
+        // Fan out to every open link; neighbours flood it onward
+        if (broadcast(payload) > 0) {
+            setMessageStatus(payload.id, 'sent');
+        }
+    }
+
+    function handleIncomingMessage(peer, data) {
+        try {
+            const payload = JSON.parse(data);
+            
+            // Routed payloads are flooded onward once, then handled locally
+            if (payload.id && payload.ttl !== undefined && !acceptRouted(peer, payload)) {
+                // A resent message we already have still needs its receipt
+                if (payload.t === 'm' && payload.rt) {
+                    acknowledgeMessage(payload);
+                }
+                // A relayed copy of a leave may beat the leaver's own; its own still closes the link
+                if (payload.t === 'disconnect' && payload.f === peer.nodeId) {
+                    handlePeerLeft(peer, payload, true);
+                }
+                return;
+            }
+            
+            switch (payload.t) {
+                case 'hello': // peer introduces its node id and session
+                    if (!isValidHello(peer, payload.id)) {
+                        console.warn(`Link ${peer.linkId} claimed node id ${String(payload.id).slice(0, 16)}`);
+                        showToast('warning', 'Link Refused', 'A peer claimed a node id that isn\'t its own');
+                        onPeerFailed(peer);
+                        break;
+                    }
+                    peer.nodeId = payload.id;
+                    adoptSession(peer, payload.s);
+                    startVerification(peer);
+                    sendIdentity(peer);
+                    announceKeys();
+                    broadcastPresence();
+                    trickleLateCandidates(peer);
+                    resendUnacked(peer.nodeId);
+                    flushOutbox();
+                    resumeTransfers(peer);
+                    renderRoster();
+                    renderHostSlots();
+                    broadcastRoster();
+                    break;
+                case 'roster': // neighbour's direct links
+                    if (!peer.nodeId) break;
+                    state.neighborRosters.set(peer.nodeId, Array.isArray(payload.peers) ? payload.peers : []);
+                    renderRoster();
+                    introduceKnownPeers();
+                    break;
+                case 'sig': // signaling relayed over the mesh
+                    if (payload.to === state.localId) {
+                        handleSignal(peer, payload);
+                    } else {
+                        relaySignal(peer, payload);
+                    }
+                    break;
+                case 'm': // message
+                    // Seen ids only go back so far; the rendered chat is the final check
+                    if (isMessageId(payload.id) && document.getElementById(`msg-${payload.id}`)) {
+                        acknowledgeMessage(payload);
+                        break;
+                    }
+                    if (payload.e) {
+                        receiveEncrypted(peer, payload);
+                    } else {
+                        handleSealedPayload(peer, payload, payload.d, false);
+                    }
+                    break;
+                case 'edit': // new text for an earlier message
+                case 'react': // emoji reaction toggled on or off
+                case 'loc': // live location moved or ended
+                    if (payload.e) {
+                        receiveEncrypted(peer, payload);
+                    } else {
+                        handleSealedPayload(peer, payload, payload.d, false);
+                    }
+                    break;
+                case 'del': // message deleted for everyone
+                    if (payload.e) {
+                        receiveEncrypted(peer, payload);
+                    } else {
+                        applyMessageOp(payload, undefined, false);
+                    }
+                    break;
+                case 'file': // file offer, or a re-offer after reconnecting
+                    handleFileOffer(peer, payload);
+                    break;
+                case 'file-accept': // receiver wants chunks from an index on
+                    handleFileAccept(peer, payload);
+                    break;
+                case 'file-done':
+                    handleFileDone(peer, payload);
+                    break;
+                case 'ack': // delivery or read receipt
+                    if (payload.to === state.localId) {
+                        handleReceipt(payload);
+                    }
+                    break;
+                case 'sos-ack': // someone saw our SOS
+                    if (payload.to === state.localId) {
+                        handleSosAck(payload);
+                    }
+                    break;
+                case 'typing': // started or stopped typing
+                    setTyping(payload.f || peer.nodeId, payload.d === true);
+                    break;
+                case 'presence': // tab came to the front or went to the background
+                    handlePresence(payload);
+                    break;
+                case 'ping':
+                    // Echo the sender's timestamp so it can time the round trip
+                    sendToPeer(peer, { t: 'pong', ts: payload.ts });
+                    break;
+                case 'pong':
+                    handlePong(peer, payload);
+                    break;
+                case 'id': // signed identity card
+                    handleIdentityCard(peer, payload);
+                    break;
+                case 'sas': // peer compared the security code
+                    handleSasVerdict(peer, payload);
+                    break;
+                case 'ek': // a node's encryption keys, to everyone or in reply to ours
+                    if (!payload.to || payload.to === state.localId) {
+                        handleKeyAnnouncement(payload);
+                    }
+                    break;
+                case 'sk': // a sender key generation, encrypted for us
+                    if (payload.to === state.localId) {
+                        handleSenderKey(payload);
+                    }
+                    break;
+                case 'sk-req': // a node can't read our messages yet
+                    if (payload.to === state.localId) {
+                        shareSenderKey(payload.f, payload.g, true);
+                    }
+                    break;
+                case 'call': // ring, decline or hang up
+                    handleCallMessage(peer, payload);
+                    break;
+                case 'disconnect': // a node left on purpose; don't try to recover it
+                    handlePeerLeft(peer, payload);
+                    break;
+                case 'disconnect-ack':
+                    if (state.pendingLeave) {
+                        state.pendingLeave.waiting.delete(peer.linkId);
+                        if (state.pendingLeave.waiting.size === 0) state.pendingLeave.resolve();
+                    }
+                    break;
+                default:
+                    console.log('Unknown message type:', payload.t);
+            }
+        } catch (e) {
+            console.error('Error parsing message:', e);
+        }
+    }
+
+    /**
+     * A message, edit or reaction whose text is readable (decrypted or sent plain)
+     */
+    function handleSealedPayload(peer, payload, text, encrypted) {
+        if (typeof text !== 'string') return;
+        
+        if (payload.t === 'm') {
+            // Copies that waited for a key may have been shown meanwhile
+            if (document.getElementById(`msg-${payload.id}`)) return;
+            showIncomingMessage(peer, payload, text.slice(0, CONFIG.maxMessageLength), encrypted);
+        } else {
+            applyMessageOp(payload, text, encrypted);
+        }
+    }
+
+    /**
+     * Show a message from another node and send its delivery receipt
+     */
+    function showIncomingMessage(peer, payload, text, encrypted) {
+        const replyTo = isMessageId(payload.re) ? payload.re : null;
+        const location = payload.k === 'loc' ? parseLocation(text) : null;
+        if (payload.k === 'loc') {
+            if (!location) return;
+            text = describeLocation(location);
+        }
+        
+        setTyping(payload.f || peer.nodeId, false);
+        addMessageToChat(text, false, {
+            id: payload.id,
+            senderId: payload.f || peer.nodeId,
+            hops: payload.p ? payload.p.length : 1,
+            ts: payload.ts,
+            encrypted: encrypted,
+            replyTo: replyTo,
+            location: location,
+            sos: payload.k === 'sos'
+        });
+        recordHistory({ id: payload.id, ts: payload.ts, text: payload.k === 'sos' ? `🆘 ${text}` : text, sent: false, from: payload.f || peer.nodeId, replyTo: replyTo });
+        if (payload.id && payload.f) {
+            acknowledgeMessage(payload);
+        }
+        // Play notification sound or vibrate
+        if (payload.k === 'sos') {
+            // Priority alerts ring whether or not the tab is in view
+            raiseAlert(payload.id);
+        } else if (document.hidden && navigator.vibrate) {
+            navigator.vibrate(100);
+        }
+    }
+
+    /**
+     * Render a chat message
+     * options: id, senderId, hops (path length), ts (composed at), status (sent messages),
+     *          senderName (overrides the sender's label), encrypted (end-to-end), replyTo (quoted message id),
+     *          file ({ name, size, mime, url } renders a file card instead of text),
+     *          location (see parseLocation(), renders a location card instead of text),
+     *          sos (priority alert, see SOS ALERTS)
+     */
+    function addMessageToChat(text, isSent, options = {}) {
+        const { senderId = null, hops = 1, status = 'sent', replyTo = null } = options;
+        const container = document.getElementById('chatMessages');
+        const time = new Date(options.ts || Date.now()).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const id = isMessageId(options.id) ? options.id : generateUuid();
+        const messageId = 'msg-' + id;
+        
+        const messageHtml = `
+            <div id="${messageId}" class="message-row ${isSent ? 'message-row-sent' : 'message-row-received'}${options.sos ? ' message-row-sos' : ''}">
+                <div class="message ${isSent ? 'message-sent' : 'message-received'}">
+                    ${replyTo ? `<button onclick="BeaconMesh.scrollToMessage('${replyTo}')" class="message-reply" data-reply-to="${replyTo}">${renderReplyQuote(replyTo)}</button>` : ''}
+                    ${options.sos ? '<div class="message-sos-label">🆘 SOS alert</div>' : ''}
+                    ${options.file ? renderFileCard(options.file) : options.location ? renderLocationCard(options.location, isSent) : `<div class="message-content">${formatMessage(text)}</div>`}
+                    ${options.sos ? `<div class="message-sos-acks">${isSent ? 'Waiting for acknowledgment' : 'Not acknowledged yet'}</div>` : ''}
+                    <div class="message-history hidden"></div>
+                    <div class="message-reactions"></div>
+                    <div class="message-meta">
+                        ${senderId ? `<span class="message-sender">${escapeHtml(options.senderName || getNodeLabel(senderId))}</span>` : ''}
+                        ${hops > 1 ? `<span class="message-hops">via ${hops} hops</span>` : ''}
+                        ${options.encrypted ? `<svg class="message-lock" fill="none" stroke="currentColor" viewBox="0 0 24 24"><title>End-to-end encrypted</title><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z"/></svg>` : ''}
+                        <button onclick="BeaconMesh.toggleEditHistory('${id}')" class="message-edited hidden" title="Show earlier versions">edited</button>
+                        <span class="message-time">${time}</span>
+                        ${isSent ? `<span class="message-status message-status-${status}" title="${STATUS_LABELS[status]}">${STATUS_ICONS[status]}</span>` : ''}
+                        <button onclick="BeaconMesh.toggleMessageActions('${id}')" class="message-more" title="Reply, react${isSent ? ', edit or delete' : ''}">⋯</button>
+                    </div>
+                </div>
+                <div class="message-actions">
+                    <button onclick="BeaconMesh.replyToMessage('${id}')" class="message-action" title="Reply">↩</button>
+                    ${REACTIONS.map(emoji => `<button onclick="BeaconMesh.toggleReaction('${id}', '${emoji}')" class="message-action">${emoji}</button>`).join('')}
+                    ${isSent && !options.file && !options.location && !options.sos ? `<button onclick="BeaconMesh.editMessage('${id}')" class="message-action" title="Edit">✎</button>` : ''}
+                    ${isSent ? `<button onclick="BeaconMesh.deleteMessage('${id}')" class="message-action message-action-danger" title="Delete for everyone">🗑</button>` : ''}
+                </div>
+            </div>
+        `;
+        
+        container.insertAdjacentHTML('beforeend', messageHtml);
+        
+        registerMessage(id, {
+            senderId: isSent ? state.localId : senderId,
+            sent: isSent,
+            text: text,
+            ts: options.ts || Date.now(),
+            file: !!options.file,
+            location: options.location || null,
+            sos: !!options.sos,
+            encrypted: !!options.encrypted,
+            replyTo: replyTo
+        });
+        
+        // Smooth scroll to bottom
+        requestAnimationFrame(() => {
+            container.scrollTo({
+                top: container.scrollHeight,
+                behavior: 'smooth'
+            });
+        });
+        
+        // Animate message entry
+        requestAnimationFrame(() => {
+            const msg = document.getElementById(messageId);
+            msg?.classList.add('message-animate-in');
+        });
+    }
+
+    /**
+     * A one-line note in the chat about the mesh itself
+     */
+    function addSystemMessage(text) {
+        const container = document.getElementById('chatMessages');
+        
+        container.insertAdjacentHTML('beforeend', `<div class="system-notice">${escapeHtml(text)}</div>`);
+        
+        requestAnimationFrame(() => {
+            container.scrollTo({
+                top: container.scrollHeight,
+                behavior: 'smooth'
+            });
+        });
+    }
+
+    /**
+     * Escape text for use in markup, including inside quoted attributes
+     */
+    function escapeHtml(text) {
+        return String(text == null ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    function updateCharCount() {
+        const input = document.getElementById('messageInput');
+        const counter = document.getElementById('charCount');
+        const length = input.value.length;
+        
+        counter.textContent = `${length}/${CONFIG.maxMessageLength}`;
+        resizeMessageInput();
+        
+        if (length > CONFIG.maxMessageLength * 0.9) {
+            counter.classList.add('text-yellow-500');
+        } else {
+            counter.classList.remove('text-yellow-500');
+        }
+        
+        if (length >= CONFIG.maxMessageLength) {
+            counter.classList.add('text-red-500');
+            counter.classList.remove('text-yellow-500');
+        } else {
+            counter.classList.remove('text-red-500');
+        }
+    }
+
+    // ==================== MESSAGE FORMATTING ====================
+    //
+    // Markdown-lite for chat bubbles: **bold**, *italic* or _italic_,
+    // `code`, ``` blocks ```, line breaks and @mentions. Every piece of
+    // peer text is escaped before it is wrapped in our own tags, so nothing
+    // a peer sends can become markup. Links are only made for a few safe
+    // schemes and are never fetched; the destination shows on hover.
+    
+    const LINK_PATTERN = /\b(?:https?:\/\/[^\s<>"]+|mailto:[^\s<>"@]+@[^\s<>"]+|tel:\+?\d[\d().-]*\d|geo:-?\d{1,2}(?:\.\d+)?,-?\d{1,3}(?:\.\d+)?)/gi;
+    const LINK_TRAILING = /[.,!?;:'")\]]+$/;
+    
+    /**
+     * Read saved display preferences
+     */
+    async function loadPreferences() {
+        try {
+            const preferences = await dbRequest('identity', 'readonly', store => store.get('preferences'));
+            if (preferences && typeof preferences.autoLink === 'boolean') {
+                state.autoLink = preferences.autoLink;
+            }
+        } catch (e) {
+            console.error('Preferences unavailable:', e);
+        }
+        renderAutoLinkStatus();
+    }
+
+    /**
+     * Render message text as safe HTML
+     */
+    function formatMessage(text) {
+        return String(text == null ? '' : text)
+            .split(/```(?:[\w-]*\n)?([\s\S]*?)```/g)
+            .map((part, index) => index % 2 === 1
+                ? `<pre class="message-code-block"><code>${escapeHtml(part.replace(/\n$/, ''))}</code></pre>`
+                : part.split(/`([^`\n]+)`/g)
+                    .map((piece, i) => i % 2 === 1 ? `<code class="message-code">${escapeHtml(piece)}</code>` : formatLinks(piece))
+                    .join(''))
+            .join('');
+    }
+
+    function formatLinks(text) {
+        if (!state.autoLink) return formatInline(text);
+        
+        let html = '';
+        let last = 0;
+        for (const match of text.matchAll(LINK_PATTERN)) {
+            if (match.index < last) continue;
+            const url = match[0].replace(LINK_TRAILING, '');
+            html += formatInline(text.slice(last, match.index)) + renderLink(url);
+            last = match.index + url.length;
+        }
+        return html + formatInline(text.slice(last));
+    }
+
+    function renderLink(url) {
+        const scheme = url.slice(0, url.indexOf(':')).toLowerCase();
+        let title;
+        if (scheme === 'http' || scheme === 'https') {
+            try {
+                title = `Opens ${new URL(url).host}`;
+            } catch (e) {
+                return formatInline(url);
+            }
+        } else {
+            title = { mailto: 'Send email', tel: 'Call', geo: 'Open in maps' }[scheme];
+        }
+        
+        const safe = escapeHtml(url);
+        return `<a href="${safe}" target="_blank" rel="noopener noreferrer" class="message-link" title="${escapeHtml(title)}: ${safe}">${safe}</a>`;
+    }
+
+    function formatInline(text) {
+        const me = (state.identity?.name || '').replace(/\s+/g, '').toLowerCase();
+        return escapeHtml(text)
+            .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^\w*])\*(?=[^\s*])([\s\S]*?[^\s*])\*(?![\w*])/g, '$1<em>$2</em>')
+            .replace(/(^|[^\w])_(?=[^\s_])([\s\S]*?[^\s_])_(?!\w)/g, '$1<em>$2</em>')
+            .replace(/(^|[^\w@])@([\w-]{1,40})/g, (match, before, name) =>
+                `${before}<span class="mention${me && name.toLowerCase() === me ? ' mention-me' : ''}">@${name}</span>`)
+            .replace(/\n/g, '<br>');
+    }
+
+    /**
+     * Turn link detection on or off; some prefer nothing tappable in chat
+     */
+    async function toggleAutoLink() {
+        state.autoLink = !state.autoLink;
+        renderAutoLinkStatus();
+        state.messages.forEach((message, id) => renderMessageUpdate(id));
+        
+        try {
+            await dbRequest('identity', 'readwrite', store => store.put({ autoLink: state.autoLink }, 'preferences'));
+        } catch (e) {
+            console.error('Saving preferences failed:', e);
+        }
+        
+        showToast('info', state.autoLink ? 'Links On' : 'Links Off',
+            state.autoLink ? 'Addresses in messages can be tapped' : 'Messages show addresses as plain text');
+    }
+
+    function renderAutoLinkStatus() {
+        const status = document.getElementById('autoLinkStatus');
+        if (status) status.textContent = state.autoLink ? 'On' : 'Off';
+    }
+
+    function resizeMessageInput() {
+        const input = document.getElementById('messageInput');
+        if (!input) return;
+        
+        // Grow with the text; the stylesheet caps the height and scrolls beyond it
+        input.style.height = 'auto';
+        input.style.height = `${input.scrollHeight + input.offsetHeight - input.clientHeight}px`;
+    }
+
+    // ==================== MESSAGE ACTIONS ====================
+    //
+    // Every rendered message has a model in state.messages keyed by its
+    // UUID. Replies, edits, deletions and reactions are routed payloads
+    // that point at that id; ones that arrive before their message wait
+    // in state.pendingMessageOps and are replayed when it shows up.
+    
+    const REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🙏'];
+    
+    /**
+     * Remember a rendered message so later payloads can change it
+     */
+    function registerMessage(id, model) {
+        state.messages.set(id, {
+            ...model,
+            edits: [],              // Earlier versions, oldest first: { text, ts }
+            editedAt: 0,            // Timestamp of the version shown
+            deleted: false,
+            reactions: new Map(),   // Emoji -> node id -> { on, ts }
+            acks: new Set()         // Node ids that acknowledged an SOS
+        });
+        
+        const pending = state.pendingMessageOps.get(id);
+        if (pending) {
+            state.pendingMessageOps.delete(id);
+            pending.forEach(({ payload, text, encrypted }) => applyMessageOp(payload, text, encrypted));
+        }
+    }
+
+    /**
+     * Hold a payload for a message we haven't got yet (still in flight or
+     * waiting for its key)
+     */
+    function deferMessageOp(payload, text, encrypted) {
+        if (!state.pendingMessageOps.has(payload.m)) {
+            state.pendingMessageOps.set(payload.m, []);
+        }
+        const pending = state.pendingMessageOps.get(payload.m);
+        
+        // Only the newest edit, deletion, location and per-node reaction matter
+        const slot = getMessageOpSlot(payload, text);
+        const index = pending.findIndex(op => getMessageOpSlot(op.payload, op.text) === slot);
+        if (index !== -1) {
+            if (pending[index].payload.ts > payload.ts) return;
+            pending.splice(index, 1);
+        }
+        pending.push({ payload, text, encrypted });
+        // Reactions can come from any number of nodes: drop the oldest of those
+        if (pending.length > CONFIG.maxPendingOpsPerMessage) {
+            pending.splice(pending.findIndex(op => op.payload.t === 'react'), 1);
+        }
+        
+        while (state.pendingMessageOps.size > CONFIG.maxPendingMessageOps) {
+            state.pendingMessageOps.delete(state.pendingMessageOps.keys().next().value);
+        }
+    }
+
+    function getMessageOpSlot(payload, text) {
+        return payload.t === 'react' ? `react:${payload.f}:${text}` : payload.t;
+    }
+
+    function applyMessageOp(payload, text, encrypted) {
+        if (!isMessageId(payload.m)) return;
+        
+        const message = state.messages.get(payload.m);
+        if (!message) {
+            deferMessageOp(payload, text, encrypted);
+            return;
+        }
+        if (message.deleted) return;
+        
+        // A relay could forge a plaintext change; only sealed ones prove the sender
+        if (message.encrypted && !encrypted) return;
+        
+        switch (payload.t) {
+            case 'edit':
+                applyEdit(payload, message, text);
+                break;
+            case 'del':
+                applyDelete(payload, message);
+                break;
+            case 'react':
+                applyReaction(payload, message, text);
+                break;
+            case 'loc':
+                applyLocation(payload, message, text);
+                break;
+        }
+        renderMessageUpdate(payload.m);
+    }
+
+    function applyEdit(payload, message, text) {
+        // Only the author edits, and only text
+        if (payload.f !== message.senderId || message.file || message.location || message.sos || typeof text !== 'string') return;
+        
+        // Edits can arrive out of order: the newest is shown, the rest are history
+        if (payload.ts > message.editedAt) {
+            message.edits.push({ text: message.text, ts: message.editedAt || message.ts });
+            message.text = text.slice(0, CONFIG.maxMessageLength);
+            message.editedAt = payload.ts;
+        } else {
+            message.edits.push({ text: text.slice(0, CONFIG.maxMessageLength), ts: payload.ts });
+        }
+        message.edits.sort((a, b) => a.ts - b.ts);
+        
+        recordHistory({ id: payload.m, ts: message.ts, text: message.text, sent: message.sent, from: message.senderId, replyTo: message.replyTo });
+    }
+
+    function applyDelete(payload, message) {
+        if (payload.f !== message.senderId) return;
+        
+        if (state.location.live && state.location.live.id === payload.m) {
+            stopLiveLocation(false);
+        }
+        if (message.sos) {
+            withdrawAlert(payload.m);
+        }
+        
+        message.deleted = true;
+        message.text = '';
+        message.edits = [];
+        message.reactions.clear();
+        
+        forgetHistory(payload.m);
+    }
+
+    function applyReaction(payload, message, emoji) {
+        if (!REACTIONS.includes(emoji)) return;
+        
+        if (!message.reactions.has(emoji)) {
+            message.reactions.set(emoji, new Map());
+        }
+        
+        // Set semantics: the newest toggle from each node wins
+        const votes = message.reactions.get(emoji);
+        const current = votes.get(payload.f);
+        if (current && current.ts > payload.ts) return;
+        votes.set(payload.f, { on: payload.on !== false, ts: payload.ts });
+    }
+
+    /**
+     * Send a reply, edit, deletion or reaction, or queue it while offline
+     */
+    function sendMessageOp(payload) {
+        if (state.outbox.length > 0 || !hasUsableLink()) {
+            state.outbox.push(payload);
+            return;
+        }
+        broadcast(payload);
+    }
+
+    function replyToMessage(id) {
+        if (!state.messages.has(id)) return;
+        
+        // Keep whatever is being typed
+        if (state.compose && state.compose.mode === 'edit') {
+            document.getElementById('messageInput').value = '';
+        }
+        
+        state.compose = { mode: 'reply', id: id };
+        hideMessageActions();
+        renderComposeContext();
+        document.getElementById('messageInput')?.focus();
+    }
+
+    /**
+     * Changes to an end-to-end encrypted message have to be sealed too,
+     * or every other node ignores them
+     */
+    function canChangeMessage(message) {
+        if (message.encrypted && !state.e2e.enabled) {
+            showToast('warning', 'Encryption Off', 'Turn end-to-end encryption on to change an encrypted message');
+            return false;
+        }
+        return true;
+    }
+
+    function editMessage(id) {
+        const message = state.messages.get(id);
+        if (!message || !message.sent || message.file || message.location || message.sos || message.deleted) return;
+        if (!canChangeMessage(message)) return;
+        
+        const input = document.getElementById('messageInput');
+        input.value = message.text;
+        updateCharCount();
+        
+        state.compose = { mode: 'edit', id: id };
+        hideMessageActions();
+        renderComposeContext();
+        input.focus();
+    }
+
+    function cancelCompose() {
+        if (state.compose && state.compose.mode === 'edit') {
+            document.getElementById('messageInput').value = '';
+            updateCharCount();
+        }
+        state.compose = null;
+        renderComposeContext();
+    }
+
+    /**
+     * sendMessage() in edit mode: publish the new text for our message
+     */
+    async function submitEdit(id, text) {
+        const message = state.messages.get(id);
+        state.compose = null;
+        renderComposeContext();
+        
+        if (!message || message.deleted || text === message.text || !canChangeMessage(message)) return;
+        
+        const payload = createRouted({ t: 'edit', m: id });
+        let encrypted;
+        try {
+            encrypted = await sealText(payload, text);
+        } catch (e) {
+            console.error('Encryption failed:', e);
+            showToast('error', 'Not Edited', 'The edit could not be encrypted');
+            return;
+        }
+        
+        applyMessageOp(payload, text, encrypted);
+        sendMessageOp(payload);
+    }
+
+    async function deleteMessage(id) {
+        const message = state.messages.get(id);
+        if (!message || !message.sent || message.deleted || !canChangeMessage(message)) return;
+        if (!confirm('Delete this message for everyone?')) return;
+        
+        if (state.compose && state.compose.id === id) cancelCompose();
+        hideMessageActions();
+        
+        // Sealed like an edit so relays can't forge one
+        const payload = createRouted({ t: 'del', m: id });
+        let encrypted;
+        try {
+            encrypted = await sealText(payload, '');
+        } catch (e) {
+            console.error('Encryption failed:', e);
+            showToast('error', 'Not Deleted', 'The deletion could not be encrypted');
+            return;
+        }
+        
+        applyMessageOp(payload, undefined, encrypted);
+        sendMessageOp(payload);
+    }
+
+    async function toggleReaction(id, emoji) {
+        const message = state.messages.get(id);
+        if (!message || message.deleted || !REACTIONS.includes(emoji) || !canChangeMessage(message)) return;
+        
+        const mine = message.reactions.get(emoji)?.get(state.localId);
+        const payload = createRouted({ t: 'react', m: id, on: !(mine && mine.on) });
+        
+        let encrypted;
+        try {
+            encrypted = await sealText(payload, emoji);
+        } catch (e) {
+            console.error('Encryption failed:', e);
+            return;
+        }
+        
+        hideMessageActions();
+        applyMessageOp(payload, emoji, encrypted);
+        sendMessageOp(payload);
+    }
+
+    function toggleMessageActions(id) {
+        const row = document.getElementById(`msg-${id}`);
+        const open = row && !row.classList.contains('message-row-active');
+        hideMessageActions();
+        if (open) row.classList.add('message-row-active');
+    }
+
+    function hideMessageActions() {
+        document.querySelectorAll('.message-row-active').forEach(row => row.classList.remove('message-row-active'));
+    }
+
+    function toggleEditHistory(id) {
+        document.querySelector(`#msg-${id} .message-history`)?.classList.toggle('hidden');
+    }
+
+    function scrollToMessage(id) {
+        const row = document.getElementById(`msg-${id}`);
+        if (!row) return;
+        
+        row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        row.classList.add('message-row-highlight');
+        setTimeout(() => row.classList.remove('message-row-highlight'), 1500);
+    }
+
+    /**
+     * One-line summary of a message for reply quotes
+     */
+    function getMessageExcerpt(message) {
+        if (!message) return 'Original message unavailable';
+        if (message.deleted) return 'Message deleted';
+        
+        const text = message.file ? `📎 ${message.text}` : message.text;
+        return text.length > 80 ? `${text.slice(0, 80)}…` : text;
+    }
+
+    function renderReplyQuote(parentId) {
+        const parent = state.messages.get(parentId);
+        const sender = parent ? (parent.sent ? 'You' : getNodeLabel(parent.senderId)) : '';
+        
+        return `
+            ${sender ? `<span class="message-reply-sender">${escapeHtml(sender)}</span>` : ''}
+            <span class="message-reply-text">${escapeHtml(getMessageExcerpt(parent))}</span>
+        `;
+    }
+
+    function renderComposeContext() {
+        const bar = document.getElementById('composeContext');
+        if (!bar) return;
+        
+        const compose = state.compose;
+        bar.classList.toggle('hidden', !compose);
+        if (!compose) return;
+        
+        const message = state.messages.get(compose.id);
+        document.getElementById('composeContextLabel').textContent = compose.mode === 'edit' ? 'Editing' : 'Replying to';
+        document.getElementById('composeContextText').textContent = getMessageExcerpt(message);
+    }
+
+    /**
+     * Bring a rendered message in line with its model, and any replies quoting it
+     */
+    function renderMessageUpdate(id) {
+        const message = state.messages.get(id);
+        const row = document.getElementById(`msg-${id}`);
+        if (!message || !row) return;
+        
+        if (message.deleted) {
+            row.classList.add('message-row-deleted');
+            row.classList.remove('message-row-active');
+            const body = row.querySelector('.message-content, .message-file, .message-location');
+            if (body) body.outerHTML = '<div class="message-content message-content-deleted">Message deleted</div>';
+        } else if (message.location) {
+            const card = row.querySelector('.message-location');
+            if (card) card.outerHTML = renderLocationCard(message.location, message.sent);
+        } else if (!message.file) {
+            const content = row.querySelector('.message-content');
+            if (content) content.innerHTML = formatMessage(message.text);
+        }
+        
+        const acks = row.querySelector('.message-sos-acks');
+        if (acks) {
+            acks.textContent = describeSosAcks(message);
+            acks.classList.toggle('hidden', message.deleted);
+        }
+        
+        const edited = row.querySelector('.message-edited');
+        edited?.classList.toggle('hidden', message.edits.length === 0 || message.deleted);
+        
+        const history = row.querySelector('.message-history');
+        if (history) {
+            history.innerHTML = message.edits.map(edit => `
+                <div class="message-history-entry">
+                    <span class="message-history-time">${new Date(edit.ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+                    ${formatMessage(edit.text)}
+                </div>
+            `).join('');
+            if (message.deleted) history.classList.add('hidden');
+        }
+        
+        const reactions = row.querySelector('.message-reactions');
+        if (reactions) {
+            reactions.innerHTML = Array.from(message.reactions.entries()).map(([emoji, votes]) => {
+                const voters = Array.from(votes.entries()).filter(([, vote]) => vote.on).map(([nodeId]) => nodeId);
+                if (voters.length === 0) return '';
+                
+                const mine = voters.includes(state.localId);
+                const names = voters.map(nodeId => nodeId === state.localId ? 'You' : getNodeLabel(nodeId)).join(', ');
+                return `<button onclick="BeaconMesh.toggleReaction('${id}', '${emoji}')" class="reaction-chip${mine ? ' reaction-chip-mine' : ''}" title="${escapeHtml(names)}">${emoji} ${voters.length}</button>`;
+            }).join('');
+        }
+        
+        document.querySelectorAll(`.message-reply[data-reply-to="${id}"]`).forEach(quote => {
+            quote.innerHTML = renderReplyQuote(id);
+        });
+        
+        if (state.compose && state.compose.id === id) {
+            if (message.deleted) cancelCompose();
+            else renderComposeContext();
+        }
+    }
+
+    // ==================== TYPING & PRESENCE ====================
+    
+    const PRESENCE_LABELS = { active: 'Active', away: 'Away', offline: 'Offline' };
+    
+    /**
+     * Input listener: tell the mesh we're typing, at most once per throttle
+     * window, and that we stopped once the input goes idle or empty
+     */
+    function handleTypingInput() {
+        const input = document.getElementById('messageInput');
+        if (!hasUsableLink()) return;
+        
+        if (!input.value.trim()) {
+            stopTyping();
+            return;
+        }
+        
+        const now = Date.now();
+        if (now - state.typing.sentAt >= CONFIG.typingThrottle) {
+            state.typing.sentAt = now;
+            broadcast(createRouted({ t: 'typing', d: true }));
+        }
+        
+        clearTimeout(state.typing.idleTimer);
+        state.typing.idleTimer = setTimeout(stopTyping, CONFIG.typingIdleTimeout);
+    }
+
+    function stopTyping() {
+        clearTimeout(state.typing.idleTimer);
+        state.typing.idleTimer = null;
+        
+        if (!state.typing.sentAt) return;
+        state.typing.sentAt = 0;
+        broadcast(createRouted({ t: 'typing', d: false }));
+    }
+
+    /**
+     * A node started or stopped typing; a lost stop expires on its own
+     */
+    function setTyping(nodeId, isTyping) {
+        if (!nodeId) return;
+        
+        clearTimeout(state.typing.nodes.get(nodeId));
+        state.typing.nodes.delete(nodeId);
+        
+        if (isTyping) {
+            state.typing.nodes.set(nodeId, setTimeout(() => setTyping(nodeId, false), CONFIG.typingExpiry));
+        }
+        renderTypingIndicator();
+    }
+
+    function renderTypingIndicator() {
+        const container = document.getElementById('chatMessages');
+        let indicator = document.getElementById('typingIndicator');
+        const names = Array.from(state.typing.nodes.keys()).map(nodeId => getNodeLabel(nodeId));
+        
+        if (names.length === 0) {
+            indicator?.remove();
+            return;
+        }
+        
+        if (!indicator) {
+            container.insertAdjacentHTML('beforeend', `
+                <div id="typingIndicator" class="message-row message-row-received">
+                    <div class="message message-received typing-indicator">
+                        <span class="typing-dot"></span>
+                        <span class="typing-dot"></span>
+                        <span class="typing-dot"></span>
+                        <span class="typing-names"></span>
+                    </div>
+                </div>
+            `);
+            indicator = document.getElementById('typingIndicator');
+        } else if (indicator !== container.lastElementChild) {
+            // Stay below messages that arrived meanwhile
+            container.appendChild(indicator);
+        }
+        
+        // Names only matter once more than one peer could be typing
+        const label = getMeshNodes().length <= 1 ? ''
+            : names.length === 1 ? `${names[0]} is typing`
+            : names.length === 2 ? `${names[0]} and ${names[1]} are typing`
+            : `${names.length} people are typing`;
+        indicator.querySelector('.typing-names').textContent = label;
+    }
+
+    function getLocalPresence() {
+        return document.hidden ? 'away' : 'active';
+    }
+
+    /**
+     * Tell the mesh whether this tab is in front
+     */
+    function broadcastPresence() {
+        if (!hasUsableLink()) return;
+        broadcast(createRouted({ t: 'presence', s: getLocalPresence() }));
+    }
+
+    function handlePresence(payload) {
+        if (!payload.f || !PRESENCE_LABELS[payload.s] || payload.s === 'offline') return;
+        
+        state.presence.set(payload.f, payload.s);
+        renderRoster();
+    }
+
+    /**
+     * active, away (tab hidden) or offline (link lost and recovering)
+     */
+    function getPresence(nodeId) {
+        const link = findLinkByNode(nodeId);
+        if (state.awaitingResume || (link && link.recovery)) return 'offline';
+        return state.presence.get(nodeId) || 'active';
+    }
+
+    // ==================== CONNECTION INFO ====================
+    
+    function showConnectionInfo() {
+        const modal = document.getElementById('connectionInfoModal');
+        const content = document.getElementById('connectionInfoContent');
+        
+        const peers = Array.from(state.peers.values()).filter(peer => peer.pc);
+        
+        if (peers.length === 0) {
+            content.innerHTML = '<p class="text-gray-500">No active connection</p>';
+            modal.classList.remove('hidden');
+            return;
         }
         
-        // Get connection stats
-        const pc = state.peerConnection;
-        const dc = state.dataChannel;
-        
-        const info = {
-            'Connection State': pc.connectionState || 'Unknown',
-            'ICE State': pc.iceConnectionState || 'Unknown',
-            'Signaling State': pc.signalingState || 'Unknown',
-            'Data Channel': dc ? dc.readyState : 'Not created',
+        const meshInfo = {
+            'Node ID': formatNodeId(state.localId),
+            'Your Name': escapeHtml(state.identity?.name || 'Not set'),
+            'Identity Key': state.identity ? formatKeyId(state.identity.keyId) : 'Loading...',
             'Role': state.isHost ? 'Host (Initiator)' : 'Joiner (Responder)',
+            'Session': state.sessionId ? escapeHtml(state.sessionId.toUpperCase()) : 'None',
+            'Open Links': getOpenPeers().length,
+            'Messages Relayed': state.relayedCount,
+            'Encryption': state.e2e.enabled ? 'End-to-end' : 'Off (links only)',
+            'History': { Off: 'Off (zero logs)', Locked: 'Locked', On: 'Saving encrypted' }[getHistoryStatus()],
             'Connected For': formatDuration(Date.now() - state.connectionStartTime),
-            'Local Candidates': state.iceCandidates.length,
             'Protocol': 'WebRTC DataChannel'
         };
         
-        let html = '<div class="space-y-2">';
-        for (const [key, value] of Object.entries(info)) {
-            const valueClass = getValueClass(key, value);
-            html += `
-                <div class="flex justify-between items-center py-2 border-b border-gray-800">
-                    <span class="text-gray-500 text-sm">${key}</span>
-                    <span class="text-sm ${valueClass}">${value}</span>
-                </div>
-            `;
+        let html = renderInfoRows(meshInfo);
+        
+        // Get connection stats for each link
+        for (const peer of peers) {
+            const pc = peer.pc;
+            const dc = peer.channel;
+            const contact = peer.nodeId && state.contacts.get(state.nodeContacts.get(peer.nodeId));
+            
+            const info = {
+                'Connection State': pc.connectionState || 'Unknown',
+                'ICE State': pc.iceConnectionState || 'Unknown',
+                'Signaling State': pc.signalingState || 'Unknown',
+                'Paired Via': peer.introduced ? 'Mesh' : 'QR Code',
+                'Data Channel': dc ? dc.readyState : 'Not created',
+                'Connected For': formatDuration(peer.connectedAt ? Date.now() - peer.connectedAt : 0),
+                'Presence': PRESENCE_LABELS[getPresence(peer.nodeId)],
+                'Round Trip': peer.rtt !== null ? `${peer.rtt} ms` : 'Measuring...',
+                'Jitter': `${Math.round(peer.jitter)} ms`,
+                'Max Message': formatBytes(getMaxMessageSize(peer)),
+                'Identity Key': contact ? formatKeyId(contact.keyId) : 'Not received',
+                'Trust': contact ? (contact.trust === 'trusted' ? 'Trusted' : 'Unverified') : 'Unknown',
+                'Encryption Keys': state.e2e.nodeKeys.has(peer.nodeId) ? 'Exchanged' : 'Not received',
+                'Security Code': peer.verification.symbols
+                    ? `<span class="sas-inline" title="${peer.verification.symbols.map(([, word]) => word).join(' ')}">${peer.verification.symbols.map(([emoji]) => emoji).join(' ')}</span>`
+                    : 'Not available',
+                'Verification': { verified: 'Verified', mismatch: 'Mismatch', pending: 'Not verified' }[getVerificationStatus(peer)],
+                'Local Candidates': peer.iceCandidates.length
+            };
+            
+            html += `<h4 class="connection-info-heading">${escapeHtml(peerLabel(peer))}</h4>`;
+            html += renderInfoRows(info);
         }
-        html += '</div>';
         
         // Add stats button
         html += `
@@ -1054,10 +6571,25 @@ const BeaconMesh = (function() {
         modal.classList.remove('hidden');
     }
 
+    function renderInfoRows(info) {
+        let html = '<div class="space-y-2">';
+        for (const [key, value] of Object.entries(info)) {
+            const valueClass = getValueClass(key, value);
+            html += `
+                <div class="flex justify-between items-center py-2 border-b border-gray-800">
+                    <span class="text-gray-500 text-sm">${key}</span>
+                    <span class="text-sm ${valueClass}">${value}</span>
+                </div>
+            `;
+        }
+        html += '</div>';
+        return html;
+    }
+
     function getValueClass(key, value) {
         const successStates = ['connected', 'open', 'stable', 'complete'];
-        const warningStates = ['connecting', 'checking', 'new'];
-        const errorStates = ['failed', 'disconnected', 'closed'];
+        const warningStates = ['connecting', 'checking', 'new', 'not verified', 'unverified'];
+        const errorStates = ['failed', 'disconnected', 'closed', 'mismatch'];
         
         const lowerValue = String(value).toLowerCase();
         
@@ -1089,33 +6621,39 @@ const BeaconMesh = (function() {
     }
 
     async function getDetailedStats() {
-        if (!state.peerConnection) {
+        const peers = Array.from(state.peers.values()).filter(peer => peer.pc);
+        
+        if (peers.length === 0) {
             showToast('error', 'No Connection', 'No active connection to get stats from');
             return;
         }
         
         try {
-            const stats = await state.peerConnection.getStats();
             let statsText = 'WebRTC Connection Stats\n';
             statsText += '========================\n\n';
             
-            stats.forEach((report) => {
-                if (report.type === 'candidate-pair' && report.state === 'succeeded') {
-                    statsText += `Active Candidate Pair:\n`;
-                    statsText += `  Local: ${report.localCandidateId}\n`;
-                    statsText += `  Remote: ${report.remoteCandidateId}\n`;
-                    statsText += `  Bytes Sent: ${report.bytesSent || 0}\n`;
-                    statsText += `  Bytes Received: ${report.bytesReceived || 0}\n`;
-                    statsText += `  Round Trip Time: ${report.currentRoundTripTime || 'N/A'}s\n\n`;
-                }
+            for (const peer of peers) {
+                const stats = await peer.pc.getStats();
+                statsText += `--- ${peerLabel(peer)} ---\n\n`;
                 
-                if (report.type === 'local-candidate' || report.type === 'remote-candidate') {
-                    statsText += `${report.type}:\n`;
-                    statsText += `  Address: ${report.address}:${report.port}\n`;
-                    statsText += `  Protocol: ${report.protocol}\n`;
-                    statsText += `  Type: ${report.candidateType}\n\n`;
-                }
-            });
+                stats.forEach((report) => {
+                    if (report.type === 'candidate-pair' && report.state === 'succeeded') {
+                        statsText += `Active Candidate Pair:\n`;
+                        statsText += `  Local: ${report.localCandidateId}\n`;
+                        statsText += `  Remote: ${report.remoteCandidateId}\n`;
+                        statsText += `  Bytes Sent: ${report.bytesSent || 0}\n`;
+                        statsText += `  Bytes Received: ${report.bytesReceived || 0}\n`;
+                        statsText += `  Round Trip Time: ${report.currentRoundTripTime || 'N/A'}s\n\n`;
+                    }
+                    
+                    if (report.type === 'local-candidate' || report.type === 'remote-candidate') {
+                        statsText += `${report.type}:\n`;
+                        statsText += `  Address: ${report.address}:${report.port}\n`;
+                        statsText += `  Protocol: ${report.protocol}\n`;
+                        statsText += `  Type: ${report.candidateType}\n\n`;
+                    }
+                });
+            }
             
             console.log(statsText);
             showToast('success', 'Stats Logged', 'Check browser console for detailed stats');
@@ -1128,16 +6666,10 @@ const BeaconMesh = (function() {
 
     // ==================== DISCONNECT & CLEANUP ====================
     
-    function disconnect() {
+    async function disconnect() {
         if (confirm('Are you sure you want to disconnect?')) {
-            // Send disconnect message if possible
-            if (state.dataChannel && state.dataChannel.readyState === 'open') {
-                try {
-                    state.dataChannel.send(JSON.stringify({ t: 'disconnect' }));
-                } catch (e) {
-                    // Ignore errors during disconnect
-                }
-            }
+            // Tell the mesh and give neighbours a moment to confirm
+            await leaveMesh('left');
             
             cleanupConnection();
             stopScanners();
@@ -1148,6 +6680,78 @@ const BeaconMesh = (function() {
         }
     }
 
+    const LEAVE_REASONS = {
+        left: 'left the mesh',
+        closed: 'closed the app',
+        timeout: 'timed out'
+    };
+
+    /**
+     * Announce that we're leaving, resolving once every direct link has
+     * acknowledged it or leaveAckTimeout has passed
+     */
+    function leaveMesh(reason) {
+        const peers = getOpenPeers();
+        if (peers.length === 0) return Promise.resolve();
+        
+        return new Promise((resolve) => {
+            const done = () => {
+                state.pendingLeave = null;
+                resolve();
+            };
+            
+            state.pendingLeave = { waiting: new Set(peers.map(peer => peer.linkId)), resolve: done };
+            setTimeout(done, CONFIG.leaveAckTimeout);
+            
+            broadcast(createRouted({ t: 'disconnect', r: reason }));
+        });
+    }
+
+    /**
+     * A node announced it's leaving: note it in the chat and drop only its link.
+     * Relayed copies can be forged, so only the leaver's own copy closes a link.
+     * repeat: the notice was already shown for a relayed copy
+     */
+    function handlePeerLeft(fromPeer, payload, repeat) {
+        const nodeId = payload.f || fromPeer.nodeId;
+        if (!nodeId || (repeat && state.peers.get(fromPeer.linkId) !== fromPeer)) return;
+        
+        const reason = LEAVE_REASONS[payload.r] || LEAVE_REASONS.left;
+        const text = `${getNodeLabel(nodeId)} ${reason}`;
+        if (!repeat) addSystemMessage(text);
+        
+        if (nodeId === fromPeer.nodeId && state.peers.get(fromPeer.linkId) === fromPeer) {
+            sendToPeer(fromPeer, { t: 'disconnect-ack' });
+            removePeer(fromPeer);
+            
+            // Messages from here on use a key the departed node never saw
+            state.e2e.nodeKeys.delete(nodeId);
+            state.e2e.pairKeys.delete(nodeId);
+            if (state.e2e.sending) rotateSenderKey();
+        }
+        
+        // Neighbours' rosters catch up on their own; don't show it as relayed meanwhile
+        for (const [id, reach] of state.neighborRosters) {
+            state.neighborRosters.set(id, reach.filter(other => other !== nodeId));
+        }
+        renderRoster();
+        
+        setTyping(nodeId, false);
+        state.presence.delete(nodeId);
+        
+        // The last peer left: end the session, unless another pairing is under way
+        if (getOpenPeers().length === 0 && !state.pendingPeer) {
+            endSession(text);
+        }
+    }
+
+    function endSession(text) {
+        cleanupConnection();
+        stopScanners();
+        enterResumeState(`${text}. Re-scan to start a new session.`);
+        document.getElementById('connectionDuration').textContent = 'Session ended';
+    }
+
     function cleanupConnection() {
         // Clear timers
         if (state.forceGenerateTimeout) {
@@ -1160,36 +6764,61 @@ const BeaconMesh = (function() {
             state.connectionCheckInterval = null;
         }
         
-        // Close data channel
-        if (state.dataChannel) {
-            try {
-                state.dataChannel.close();
-            } catch (e) {}
-            state.dataChannel = null;
+        if (state.heartbeatInterval) {
+            clearInterval(state.heartbeatInterval);
+            state.heartbeatInterval = null;
         }
         
-        // Close peer connection
-        if (state.peerConnection) {
-            try {
-                state.peerConnection.close();
-            } catch (e) {}
-            state.peerConnection = null;
+        cancelVoiceNote();
+        stopLiveLocation(false);
+        state.location.tracking = false;
+        stopLocationWatch();
+        endCall(false);
+        hideIncomingCall();
+        
+        // Close every data channel and peer connection
+        for (const peer of state.peers.values()) {
+            closePeer(peer);
         }
         
         // Reset state
-        state.localSDP = '';
-        state.iceCandidates = [];
-        state.iceGatheringComplete = false;
+        state.peers.clear();
+        state.pendingPeer = null;
+        state.neighborRosters.clear();
+        state.introductions.clear();
+        state.seenMessages.clear();
+        state.sentMessages.clear();
+        state.unreadReceipts.clear();
+        state.outbox = [];
+        state.pendingLeave = null;
+        state.outgoingFiles.clear();
+        state.incomingFiles.clear();
+        state.relayedCount = 0;
+        state.nextSlot = 1;
         state.connectionStartTime = null;
+        state.sessionId = null;
+        state.e2e = createEncryptionState(state.e2e.enabled);
+        clearTimeout(state.typing.idleTimer);
+        state.typing.sentAt = 0;
+        state.typing.nodes.forEach(timer => clearTimeout(timer));
+        state.typing.nodes.clear();
+        state.presence.clear();
+        leaveResumeState();
         
         // Update UI stats
-        document.getElementById('homeConnectionCount').textContent = '0';
-        document.getElementById('homeStatusIndicator').textContent = '●';
-        document.getElementById('homeStatusIndicator').classList.add('text-yellow-500');
-        document.getElementById('homeStatusIndicator').classList.remove('text-neon');
+        updateMeshStats();
+        renderRoster();
     }
 
     function clearChatMessages() {
+        state.messages.clear();
+        state.pendingMessageOps.clear();
+        state.alerts.queue = [];
+        stopAlarm();
+        renderAlert();
+        state.compose = null;
+        renderComposeContext();
+        
         const container = document.getElementById('chatMessages');
         container.innerHTML = `
             <div class="flex justify-center">
@@ -1206,6 +6835,65 @@ const BeaconMesh = (function() {
         `;
     }
 
+    // ==================== OFFLINE APP ====================
+    
+    /**
+     * Install the service worker so the app starts without a network,
+     * and watch for newer versions it has cached
+     */
+    function registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+        
+        navigator.serviceWorker.register('sw.js').then(registration => {
+            // A version cached on an earlier visit is already waiting
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                showUpdateReady(registration.waiting);
+            }
+            
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                if (!worker) return;
+                
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        showUpdateReady(worker);
+                    } else if (worker.state === 'activated' && !state.pendingUpdate) {
+                        showToast('success', 'Ready Offline', 'BeaconMesh will now start without a network');
+                    }
+                });
+            });
+        }).catch(e => console.error('Service worker registration failed:', e));
+        
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            // Only the update the user asked for reloads the page
+            if (!state.applyingUpdate) return;
+            state.applyingUpdate = false;
+            window.location.reload();
+        });
+    }
+
+    function showUpdateReady(worker) {
+        state.pendingUpdate = worker;
+        document.getElementById('updateBanner')?.classList.remove('hidden');
+    }
+
+    function applyUpdate() {
+        if (!state.pendingUpdate) return;
+        
+        // Reloading drops every link; make sure that's wanted mid-session
+        if (getOpenPeers().length > 0 && !confirm('Reloading will disconnect you from the mesh. Update now?')) {
+            return;
+        }
+        
+        state.applyingUpdate = true;
+        state.pendingUpdate.postMessage({ type: 'skip-waiting' });
+        document.getElementById('updateBanner')?.classList.add('hidden');
+    }
+
+    function dismissUpdate() {
+        document.getElementById('updateBanner')?.classList.add('hidden');
+    }
+
     // ==================== INITIALIZATION ====================
     
     function init() {
@@ -1221,24 +6909,30 @@ const BeaconMesh = (function() {
         // Check for secure context
         checkSecureContext();
         
+        // Node id for this session
+        state.localId = generateId(4);
+        
+        // Long-lived identity key and contacts
+        loadIdentity().catch(e => console.error('Identity unavailable:', e));
+        loadHistory();
+        loadPreferences();
+        
+        // Offline start and update notices
+        registerServiceWorker();
+        
+        // WebCrypto only exists in secure contexts
+        if (!window.crypto?.subtle) {
+            state.e2e.enabled = false;
+        }
+        updateEncryptionButton();
+        
         // Setup message input listener for char count
         const messageInput = document.getElementById('messageInput');
         if (messageInput) {
             messageInput.addEventListener('input', updateCharCount);
             
-            // Typing indicator (optional - can be enabled)
-            let typingTimeout;
-            messageInput.addEventListener('input', () => {
-                if (state.dataChannel && state.dataChannel.readyState === 'open') {
-                    // Send typing indicator
-                    // state.dataChannel.send(JSON.stringify({ t: 'typing', d: true }));
-                    
-                    clearTimeout(typingTimeout);
-                    typingTimeout = setTimeout(() => {
-                        // state.dataChannel.send(JSON.stringify({ t: 'typing', d: false }));
-                    }, 1000);
-                }
-            });
+            // Typing indicator, throttled
+            messageInput.addEventListener('input', handleTypingInput);
         }
         
         // Handle page visibility
@@ -1249,17 +6943,26 @@ const BeaconMesh = (function() {
             } else {
                 // Page is visible
                 console.log('Page visible');
+                flushReadReceipts();
             }
+            broadcastPresence();
         });
         
         // Handle beforeunload
         window.addEventListener('beforeunload', (e) => {
-            if (state.peerConnection && state.peerConnection.connectionState === 'connected') {
+            if (getOpenPeers().length > 0) {
                 e.preventDefault();
                 e.returnValue = 'You have an active connection. Are you sure you want to leave?';
             }
         });
         
+        // Let the mesh know when the tab goes away
+        window.addEventListener('pagehide', () => {
+            if (getOpenPeers().length > 0) {
+                broadcast(createRouted({ t: 'disconnect', r: 'closed' }));
+            }
+        });
+        
         // Handle online/offline
         window.addEventListener('online', () => {
             showToast('success', 'Back Online', 'Network connection restored');
@@ -1294,9 +6997,11 @@ const BeaconMesh = (function() {
     return {
         // Navigation
         goHome,
+        abortPairing,
         
         // Host flow
         startHost,
+        addPeer,
         processHostAnswer,
         copyHostSDP,
         regenerateHostOffer,
@@ -1307,9 +7012,59 @@ const BeaconMesh = (function() {
         processJoinOffer,
         copyJoinSDP,
         forceGenerateJoinQR,
+        scanMoreCandidates,
         
         // Chat
         sendMessage,
+        pickFile,
+        sendFile,
+        startVoiceNote,
+        stopVoiceNote,
+        cancelVoiceNote,
+        playVoiceNote,
+        startCall,
+        answerCall,
+        declineCall,
+        hangUp,
+        toggleMute,
+        toggleCamera,
+        confirmSas,
+        setDisplayName,
+        showContacts,
+        hideContacts,
+        toggleContactTrust,
+        toggleEncryption,
+        toggleAutoLink,
+        showHistory,
+        hideHistory,
+        showLocationMenu,
+        hideLocationMenu,
+        shareLocation,
+        stopLiveLocation,
+        locateMe,
+        sendSos,
+        acknowledgeAlert,
+        enableHistory,
+        unlockHistory,
+        lockHistory,
+        openHistorySession,
+        filterHistory,
+        exportHistory,
+        panicWipe,
+        applyUpdate,
+        dismissUpdate,
+        replyToMessage,
+        editMessage,
+        deleteMessage,
+        cancelCompose,
+        toggleReaction,
+        toggleMessageActions,
+        toggleEditHistory,
+        scrollToMessage,
+        removeContact,
+        acceptNewKey,
+        dismissKeyChange,
+        resumeSession,
         
         // Connection
         disconnect,
@@ -0,0 +1,771 @@
+/**
+ * BeaconMesh - Signaling Codec
+ *
+ * Packs the essential parts of a WebRTC session description into compact,
+ * versioned signals that fit in QR codes, and unpacks them again.
+ *
+ * Signal versions:
+ *   v1 - Legacy: base64 JSON, no prefix
+ *   v2 - JSON with a 'Z' (zlib) or 'B' (plain base64) prefix
+ *   v3 - Binary layout with a '3' prefix and a CRC-32 trailer
+ *
+ * Version negotiation: every client decodes all versions it knows. Offers are
+ * encoded in the host's configured version and v3 signals carry the highest
+ * version the sender understands. Joiners answer in the highest version both
+ * sides support, so a v2 host still gets a v2 answer from a v3 joiner. Hosts
+ * that expect older joiners can lower CONFIG.signalVersion in app.js.
+ */
+
+const BeaconCodec = (function() {
+    'use strict';
+
+    // ==================== CONSTANTS ====================
+    const VERSION = 3;        // Highest version this codec understands
+    const MIN_VERSION = 1;
+
+    const ErrorCodes = {
+        VERSION: 'version',             // Signal from an unsupported version
+        TRUNCATED: 'truncated',         // Signal ended before all fields were read
+        TYPE_MISMATCH: 'type-mismatch', // Offer scanned where an answer was expected (or vice versa)
+        CORRUPTED: 'corrupted'          // Checksum, encoding or field validation failed
+    };
+
+    const SIGNAL_TYPES = ['offer', 'answer'];
+    const SETUP_ROLES = ['actpass', 'active', 'passive'];
+    const CANDIDATE_TYPES = ['host', 'srflx', 'prflx', 'relay'];
+    const ADDRESS_KINDS = { IPV4: 0, IPV6: 1, MDNS: 2, NAME: 3 };
+    const TCP_TYPES = ['active', 'passive', 'so'];
+
+    // Index 0 is the default so plain sha-256 signals need no extra bits
+    const FINGERPRINT_ALGORITHMS = [
+        { name: 'sha-256', length: 32 },
+        { name: 'sha-1', length: 20 },
+        { name: 'sha-224', length: 28 },
+        { name: 'sha-384', length: 48 },
+        { name: 'sha-512', length: 64 },
+        { name: 'md5', length: 16 },
+        { name: 'md2', length: 16 }
+    ];
+
+    // Candidate extension tags
+    const CANDIDATE_EXT = {
+        FOUNDATION: 1,      // Foundation as a string
+        FOUNDATION_NUM: 2,  // Numeric foundation as u32
+        PRIORITY: 3,        // u32
+        COMPONENT: 4,       // u8, omitted for component 1
+        TCP_TYPE: 5,        // u8 index into TCP_TYPES
+        RELATED: 6,         // u8 address kind + address + u16 port (raddr/rport)
+        GENERATION: 7,      // u16
+        NETWORK_ID: 8,      // u16
+        NETWORK_COST: 9     // u16
+    };
+
+    // Session extension tags
+    const SESSION_EXT = {
+        SCTP_PORT: 1,       // u16
+        MAX_MESSAGE_SIZE: 2 // u32
+    };
+
+    /*
+     * v3 binary layout (all integers big-endian):
+     *
+     *   u8     version (3)
+     *   u8     max version supported by the sender
+     *   u8     flags: bits 0-1 signal type, bits 2-3 setup role,
+     *          bits 4-6 fingerprint algorithm
+     *   str    ice-ufrag (u8 length + UTF-8 bytes)
+     *   str    ice-pwd
+     *   n      fingerprint digest (length set by the algorithm)
+     *   u8     candidate count, then per candidate:
+     *            u8     flags: bits 0-1 candidate type, bits 2-3 address kind,
+     *                   bit 4 TCP transport
+     *            4|16|str  address (IPv4, IPv6 / mDNS UUID, hostname)
+     *            u16    port
+     *            ext    candidate extensions
+     *   ext    session extensions
+     *   u32    CRC-32 of everything above
+     *
+     * Extension blocks are a u8 byte length followed by (u8 tag, u8 length,
+     * value) entries. Decoders skip tags they do not know.
+     */
+
+    // ==================== ERRORS ====================
+
+    class CodecError extends Error {
+        constructor(code, message, details = {}) {
+            super(message);
+            this.name = 'CodecError';
+            this.code = code;
+            Object.assign(this, details);
+        }
+    }
+
+    // ==================== CRC-32 ====================
+
+    const CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    /**
+     * CRC-32 of a byte array or a string of 8-bit characters
+     */
+    function crc32(data) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < data.length; i++) {
+            const byte = typeof data === 'string' ? data.charCodeAt(i) & 0xFF : data[i];
+            crc = (crc >>> 8) ^ CRC_TABLE[(crc ^ byte) & 0xFF];
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // ==================== BYTE HELPERS ====================
+
+    function bytesToBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary);
+    }
+
+    function base64ToBytes(base64) {
+        let binary;
+        try {
+            binary = atob(base64);
+        } catch (e) {
+            throw new CodecError(ErrorCodes.CORRUPTED, 'Signal is not valid base64');
+        }
+
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    function hexToBytes(hex) {
+        const clean = hex.replace(/:/g, '');
+        const bytes = new Uint8Array(clean.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(clean.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+
+    function bytesToHex(bytes, separator = '') {
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join(separator);
+    }
+
+    function createWriter() {
+        const bytes = [];
+
+        return {
+            u8(value) {
+                bytes.push(value & 0xFF);
+            },
+            u16(value) {
+                bytes.push((value >>> 8) & 0xFF, value & 0xFF);
+            },
+            u32(value) {
+                this.u16(value >>> 16);
+                this.u16(value & 0xFFFF);
+            },
+            raw(data) {
+                for (let i = 0; i < data.length; i++) bytes.push(data[i]);
+            },
+            str(text) {
+                const encoded = new TextEncoder().encode(text || '');
+                if (encoded.length > 255) {
+                    throw new Error('Field too long for signal');
+                }
+                this.u8(encoded.length);
+                this.raw(encoded);
+            },
+            toBytes() {
+                return Uint8Array.from(bytes);
+            }
+        };
+    }
+
+    function createReader(bytes) {
+        let offset = 0;
+
+        const need = (count) => {
+            if (offset + count > bytes.length) {
+                throw new CodecError(ErrorCodes.TRUNCATED, 'Signal ended unexpectedly');
+            }
+        };
+
+        return {
+            u8() {
+                need(1);
+                return bytes[offset++];
+            },
+            u16() {
+                return (this.u8() << 8) | this.u8();
+            },
+            u32() {
+                return ((this.u16() << 16) | this.u16()) >>> 0;
+            },
+            raw(count) {
+                need(count);
+                const out = bytes.subarray(offset, offset + count);
+                offset += count;
+                return out;
+            },
+            str() {
+                return new TextDecoder().decode(this.raw(this.u8()));
+            },
+            get offset() {
+                return offset;
+            },
+            remaining() {
+                return bytes.length - offset;
+            }
+        };
+    }
+
+    // ==================== EXTENSIONS ====================
+
+    /**
+     * Write an extension block from a list of [tag, Uint8Array] entries
+     */
+    function writeExtensions(writer, entries) {
+        const block = createWriter();
+        for (const [tag, value] of entries) {
+            block.u8(tag);
+            block.u8(value.length);
+            block.raw(value);
+        }
+
+        const bytes = block.toBytes();
+        if (bytes.length > 255) {
+            throw new Error('Extension block too large for signal');
+        }
+        writer.u8(bytes.length);
+        writer.raw(bytes);
+    }
+
+    /**
+     * Read an extension block into a Map of tag -> Uint8Array
+     */
+    function readExtensions(reader) {
+        const block = createReader(reader.raw(reader.u8()));
+        const entries = new Map();
+
+        while (block.remaining() > 0) {
+            const tag = block.u8();
+            entries.set(tag, block.raw(block.u8()));
+        }
+        return entries;
+    }
+
+    function uintBytes(value, size) {
+        const bytes = new Uint8Array(size);
+        for (let i = size - 1; i >= 0; i--) {
+            bytes[i] = value & 0xFF;
+            value = Math.floor(value / 256);
+        }
+        return bytes;
+    }
+
+    function bytesToUint(bytes) {
+        let value = 0;
+        for (let i = 0; i < bytes.length; i++) {
+            value = value * 256 + bytes[i];
+        }
+        return value;
+    }
+
+    /**
+     * Extension entries for the candidate fields a browser may rely on
+     * Only fields that are present (and not already implied) are written
+     */
+    function candidateExtensions(candidate) {
+        const entries = [];
+
+        if (/^\d+$/.test(candidate.foundation) && Number(candidate.foundation) <= 0xFFFFFFFF) {
+            entries.push([CANDIDATE_EXT.FOUNDATION_NUM, uintBytes(Number(candidate.foundation), 4)]);
+        } else if (candidate.foundation) {
+            entries.push([CANDIDATE_EXT.FOUNDATION, new TextEncoder().encode(candidate.foundation.substring(0, 32))]);
+        }
+
+        if (candidate.priority != null) {
+            entries.push([CANDIDATE_EXT.PRIORITY, uintBytes(candidate.priority, 4)]);
+        }
+        if (candidate.component && candidate.component !== 1) {
+            entries.push([CANDIDATE_EXT.COMPONENT, uintBytes(candidate.component, 1)]);
+        }
+        if (candidate.tcpType && TCP_TYPES.includes(candidate.tcpType)) {
+            entries.push([CANDIDATE_EXT.TCP_TYPE, uintBytes(TCP_TYPES.indexOf(candidate.tcpType), 1)]);
+        }
+        if (candidate.relatedAddress) {
+            const related = createWriter();
+            const record = createWriter();
+            const kind = writeAddress(record, candidate.relatedAddress);
+            related.u8(kind);
+            related.raw(record.toBytes());
+            related.u16(candidate.relatedPort || 0);
+            entries.push([CANDIDATE_EXT.RELATED, related.toBytes()]);
+        }
+        if (candidate.generation != null) {
+            entries.push([CANDIDATE_EXT.GENERATION, uintBytes(candidate.generation, 2)]);
+        }
+        if (candidate.networkId != null) {
+            entries.push([CANDIDATE_EXT.NETWORK_ID, uintBytes(candidate.networkId, 2)]);
+        }
+        if (candidate.networkCost != null) {
+            entries.push([CANDIDATE_EXT.NETWORK_COST, uintBytes(candidate.networkCost, 2)]);
+        }
+
+        return entries;
+    }
+
+    /**
+     * Apply decoded candidate extensions to a candidate object
+     */
+    function applyCandidateExtensions(candidate, entries) {
+        for (const [tag, value] of entries) {
+            switch (tag) {
+                case CANDIDATE_EXT.FOUNDATION:
+                    candidate.foundation = new TextDecoder().decode(value);
+                    break;
+                case CANDIDATE_EXT.FOUNDATION_NUM:
+                    candidate.foundation = String(bytesToUint(value));
+                    break;
+                case CANDIDATE_EXT.PRIORITY:
+                    candidate.priority = bytesToUint(value);
+                    break;
+                case CANDIDATE_EXT.COMPONENT:
+                    candidate.component = bytesToUint(value);
+                    break;
+                case CANDIDATE_EXT.TCP_TYPE:
+                    candidate.tcpType = TCP_TYPES[bytesToUint(value)] || null;
+                    break;
+                case CANDIDATE_EXT.RELATED: {
+                    const related = createReader(value);
+                    candidate.relatedAddress = readAddress(related, related.u8());
+                    candidate.relatedPort = related.u16();
+                    break;
+                }
+                case CANDIDATE_EXT.GENERATION:
+                    candidate.generation = bytesToUint(value);
+                    break;
+                case CANDIDATE_EXT.NETWORK_ID:
+                    candidate.networkId = bytesToUint(value);
+                    break;
+                case CANDIDATE_EXT.NETWORK_COST:
+                    candidate.networkCost = bytesToUint(value);
+                    break;
+                default:
+                    // Unknown tag from a newer client: skip it
+                    break;
+            }
+        }
+    }
+
+    // ==================== ADDRESSES ====================
+
+    const IPV4_PATTERN = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+    const MDNS_PATTERN = /^([0-9a-f]{8})-([0-9a-f]{4})-([0-9a-f]{4})-([0-9a-f]{4})-([0-9a-f]{12})\.local$/i;
+
+    function parseIPv6(address) {
+        if (!/^[0-9a-f:]+$/i.test(address)) return null;
+
+        const halves = address.split('::');
+        if (halves.length > 2) return null;
+
+        const head = halves[0] ? halves[0].split(':') : [];
+        const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+        const missing = 8 - head.length - tail.length;
+
+        if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+
+        const groups = [...head, ...new Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+        const bytes = new Uint8Array(16);
+
+        for (let i = 0; i < 8; i++) {
+            if (!/^[0-9a-f]{1,4}$/i.test(groups[i])) return null;
+            const value = parseInt(groups[i], 16);
+            bytes[i * 2] = value >>> 8;
+            bytes[i * 2 + 1] = value & 0xFF;
+        }
+        return bytes;
+    }
+
+    function formatIPv6(bytes) {
+        const groups = [];
+        for (let i = 0; i < 16; i += 2) {
+            groups.push(((bytes[i] << 8) | bytes[i + 1]).toString(16));
+        }
+
+        // Collapse the longest run of zero groups
+        let bestStart = -1;
+        let bestLength = 0;
+        for (let i = 0; i < 8; i++) {
+            let length = 0;
+            while (i + length < 8 && groups[i + length] === '0') length++;
+            if (length > bestLength && length > 1) {
+                bestStart = i;
+                bestLength = length;
+            }
+        }
+
+        if (bestStart === -1) return groups.join(':');
+
+        const head = groups.slice(0, bestStart).join(':');
+        const tail = groups.slice(bestStart + bestLength).join(':');
+        return `${head}::${tail}`;
+    }
+
+    function writeAddress(writer, address) {
+        const ipv4 = address.match(IPV4_PATTERN);
+        if (ipv4 && ipv4.slice(1).every(part => Number(part) <= 255)) {
+            writer.raw(ipv4.slice(1).map(Number));
+            return ADDRESS_KINDS.IPV4;
+        }
+
+        const ipv6 = parseIPv6(address);
+        if (ipv6) {
+            writer.raw(ipv6);
+            return ADDRESS_KINDS.IPV6;
+        }
+
+        // Browsers hide local IPs behind random mDNS names: pack the UUID
+        const mdns = address.match(MDNS_PATTERN);
+        if (mdns) {
+            writer.raw(hexToBytes(mdns.slice(1).join('')));
+            return ADDRESS_KINDS.MDNS;
+        }
+
+        writer.str(address);
+        return ADDRESS_KINDS.NAME;
+    }
+
+    function readAddress(reader, kind) {
+        switch (kind) {
+            case ADDRESS_KINDS.IPV4:
+                return Array.from(reader.raw(4)).join('.');
+            case ADDRESS_KINDS.IPV6:
+                return formatIPv6(reader.raw(16));
+            case ADDRESS_KINDS.MDNS: {
+                const hex = bytesToHex(reader.raw(16));
+                return `${hex.substr(0, 8)}-${hex.substr(8, 4)}-${hex.substr(12, 4)}-${hex.substr(16, 4)}-${hex.substr(20)}.local`;
+            }
+            default:
+                return reader.str();
+        }
+    }
+
+    // ==================== V3 BINARY ====================
+
+    function encodeBinary(signal) {
+        const body = createWriter();
+
+        const algorithmIndex = FINGERPRINT_ALGORITHMS.findIndex(a => a.name === signal.fingerprint.algorithm);
+        const fingerprint = hexToBytes(signal.fingerprint.hash);
+        if (algorithmIndex === -1 || fingerprint.length !== FINGERPRINT_ALGORITHMS[algorithmIndex].length) {
+            throw new Error(`Unsupported fingerprint algorithm: ${signal.fingerprint.algorithm}`);
+        }
+
+        body.u8(3);
+        body.u8(VERSION);
+        body.u8(
+            SIGNAL_TYPES.indexOf(signal.type) |
+            (Math.max(0, SETUP_ROLES.indexOf(signal.setup)) << 2) |
+            (algorithmIndex << 4)
+        );
+        body.str(signal.ufrag);
+        body.str(signal.pwd);
+        body.raw(fingerprint);
+
+        const candidates = signal.candidates.slice(0, 255);
+        body.u8(candidates.length);
+
+        for (const candidate of candidates) {
+            const record = createWriter();
+            const kind = writeAddress(record, candidate.address);
+
+            body.u8(
+                Math.max(0, CANDIDATE_TYPES.indexOf(candidate.type)) |
+                (kind << 2) |
+                (candidate.transport === 'tcp' ? 0x10 : 0)
+            );
+            body.raw(record.toBytes());
+            body.u16(candidate.port);
+            writeExtensions(body, candidateExtensions(candidate));
+        }
+
+        const sessionEntries = [];
+        if (signal.sctpPort != null) {
+            sessionEntries.push([SESSION_EXT.SCTP_PORT, uintBytes(signal.sctpPort, 2)]);
+        }
+        if (signal.maxMessageSize != null) {
+            sessionEntries.push([SESSION_EXT.MAX_MESSAGE_SIZE, uintBytes(signal.maxMessageSize, 4)]);
+        }
+        writeExtensions(body, sessionEntries);
+
+        const bytes = body.toBytes();
+        const out = createWriter();
+        out.raw(bytes);
+        out.u32(crc32(bytes));
+
+        return '3' + bytesToBase64(out.toBytes());
+    }
+
+    function decodeBinary(base64) {
+        const bytes = base64ToBytes(base64);
+        const reader = createReader(bytes);
+
+        const version = reader.u8();
+        if (version !== 3) {
+            throw new CodecError(ErrorCodes.VERSION, `Unsupported signal version v${version}`, { version });
+        }
+
+        const maxVersion = reader.u8();
+        const flags = reader.u8();
+        const type = SIGNAL_TYPES[flags & 0x03];
+        const setup = SETUP_ROLES[(flags >>> 2) & 0x03];
+        const algorithm = FINGERPRINT_ALGORITHMS[(flags >>> 4) & 0x07];
+
+        if (!type || !setup || !algorithm) {
+            throw new CodecError(ErrorCodes.CORRUPTED, 'Signal header is invalid');
+        }
+
+        const ufrag = reader.str();
+        const pwd = reader.str();
+        const hash = bytesToHex(reader.raw(algorithm.length), ':').toUpperCase();
+
+        const candidates = [];
+        const candidateCount = reader.u8();
+
+        for (let i = 0; i < candidateCount; i++) {
+            const candidateFlags = reader.u8();
+            const address = readAddress(reader, (candidateFlags >>> 2) & 0x03);
+            const port = reader.u16();
+
+            const candidate = {
+                foundation: String(i + 1),
+                component: 1,
+                transport: (candidateFlags & 0x10) ? 'tcp' : 'udp',
+                priority: null,
+                address,
+                port,
+                type: CANDIDATE_TYPES[candidateFlags & 0x03]
+            };
+            applyCandidateExtensions(candidate, readExtensions(reader));
+            candidates.push(candidate);
+        }
+
+        const session = readExtensions(reader);
+
+        // Everything after the body must be exactly the checksum
+        const bodyLength = reader.offset;
+        const checksum = reader.u32();
+
+        if (reader.remaining() !== 0 || checksum !== crc32(bytes.subarray(0, bodyLength))) {
+            throw new CodecError(ErrorCodes.CORRUPTED, 'Signal checksum mismatch');
+        }
+
+        return {
+            version,
+            maxVersion,
+            type,
+            setup,
+            ufrag,
+            pwd,
+            fingerprint: { algorithm: algorithm.name, hash },
+            candidates,
+            sctpPort: session.has(SESSION_EXT.SCTP_PORT) ? bytesToUint(session.get(SESSION_EXT.SCTP_PORT)) : null,
+            maxMessageSize: session.has(SESSION_EXT.MAX_MESSAGE_SIZE) ? bytesToUint(session.get(SESSION_EXT.MAX_MESSAGE_SIZE)) : null
+        };
+    }
+
+    // ==================== V1/V2 JSON ====================
+
+    function encodeJSON(signal, version, compress) {
+        const essential = {
+            v: version,
+            y: signal.type === 'offer' ? 'o' : 'a', // signal type (ignored by older clients)
+            u: signal.ufrag,
+            p: signal.pwd,
+            f: signal.fingerprint.hash.replace(/:/g, ''),
+            a: signal.fingerprint.algorithm !== 'sha-256' ? signal.fingerprint.algorithm : undefined,
+            s: (signal.setup || 'actpass')[0],
+            // Older clients rebuild anything that isn't 'h' as a UDP srflx candidate
+            c: signal.candidates.filter(c => c.transport === 'udp' && (c.type === 'host' || c.type === 'srflx')).map(c => [
+                c.foundation.substring(0, 8), // Truncate foundation
+                c.address,
+                c.port,
+                c.type[0] // h for host, s for srflx
+            ].join('|'))
+        };
+
+        const json = JSON.stringify(essential);
+
+        if (version === 1) {
+            return btoa(json);
+        }
+
+        if (compress && typeof pako !== 'undefined') {
+            try {
+                return 'Z' + bytesToBase64(pako.deflate(json)); // 'Z' prefix indicates zlib compression
+            } catch (e) {
+                console.warn('Compression failed, using plain base64:', e);
+            }
+        }
+
+        return 'B' + btoa(json); // 'B' prefix indicates plain base64
+    }
+
+    function decodeJSON(text, version) {
+        let json;
+
+        if (text.startsWith('Z')) {
+            if (typeof pako === 'undefined') {
+                throw new CodecError(ErrorCodes.CORRUPTED, 'Compression library unavailable');
+            }
+            try {
+                json = pako.inflate(base64ToBytes(text.substring(1)), { to: 'string' });
+            } catch (e) {
+                if (e instanceof CodecError) throw e;
+                throw new CodecError(ErrorCodes.CORRUPTED, 'Compressed signal is damaged');
+            }
+        } else {
+            json = new TextDecoder().decode(base64ToBytes(version === 2 ? text.substring(1) : text));
+        }
+
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (e) {
+            throw new CodecError(ErrorCodes.CORRUPTED, 'This QR code is not a BeaconMesh signal');
+        }
+
+        if (!data || typeof data !== 'object') {
+            throw new CodecError(ErrorCodes.CORRUPTED, 'This QR code is not a BeaconMesh signal');
+        }
+
+        if (typeof data.v === 'number' && data.v > 2) {
+            throw new CodecError(ErrorCodes.VERSION, `Unsupported signal version v${data.v}`, { version: data.v });
+        }
+
+        const candidates = data.c === undefined ? [] : data.c;
+
+        if (typeof data.u !== 'string' || typeof data.p !== 'string' ||
+            typeof data.f !== 'string' || !/^([0-9a-f]{2})+$/i.test(data.f) ||
+            !Array.isArray(candidates) || !candidates.every(candidate => typeof candidate === 'string')) {
+            throw new CodecError(ErrorCodes.CORRUPTED, 'Signal is missing required fields');
+        }
+
+        const candidateTypes = { 'h': 'host', 's': 'srflx', 'p': 'prflx', 'r': 'relay' };
+
+        return {
+            version: data.v || version,
+            maxVersion: data.v || version,
+            type: data.y === 'o' ? 'offer' : data.y === 'a' ? 'answer' : null,
+            setup: null, // Older clients wrote ambiguous setup values
+            sctpPort: null,
+            maxMessageSize: null,
+            ufrag: data.u,
+            pwd: data.p,
+            fingerprint: { algorithm: data.a || 'sha-256', hash: data.f.match(/.{2}/g).join(':').toUpperCase() },
+            candidates: candidates.map(candidate => {
+                const [foundation, address, port, typeChar] = candidate.split('|');
+                return {
+                    foundation,
+                    component: 1,
+                    transport: 'udp',
+                    priority: null,
+                    address,
+                    port: parseInt(port, 10),
+                    type: candidateTypes[typeChar] || 'srflx'
+                };
+            })
+        };
+    }
+
+    // ==================== PUBLIC API ====================
+
+    /**
+     * Encode a signal object into QR-ready text
+     * @param {Object} signal - { type, setup, ufrag, pwd, fingerprint: { algorithm, hash }, candidates,
+     *                            sctpPort, maxMessageSize }
+     * @param {Object} options - { version, compress }
+     */
+    function encode(signal, options = {}) {
+        const version = options.version || VERSION;
+
+        if (version < MIN_VERSION || version > VERSION) {
+            throw new CodecError(ErrorCodes.VERSION, `Cannot encode signal version v${version}`, { version });
+        }
+
+        return version === 3 ? encodeBinary(signal) : encodeJSON(signal, version, options.compress !== false);
+    }
+
+    /**
+     * Decode QR text into a signal object
+     * @param {string} text - Scanned or pasted signal
+     * @param {Object} options - { expectedType: 'offer' | 'answer' }
+     * @throws {CodecError}
+     */
+    function decode(text, options = {}) {
+        const input = (text || '').trim();
+        if (!input) {
+            throw new CodecError(ErrorCodes.TRUNCATED, 'Signal is empty');
+        }
+
+        let signal;
+        const prefix = input[0];
+
+        if (/[0-9]/.test(prefix)) {
+            // Binary signals carry their version as a leading digit
+            const version = Number(prefix);
+            if (version !== 3) {
+                throw new CodecError(ErrorCodes.VERSION, `Unsupported signal version v${version}`, { version });
+            }
+            signal = decodeBinary(input.substring(1));
+        } else if (prefix === 'Z' || prefix === 'B') {
+            signal = decodeJSON(input, 2);
+        } else {
+            signal = decodeJSON(input, 1);
+        }
+
+        if (options.expectedType && signal.type && signal.type !== options.expectedType) {
+            throw new CodecError(
+                ErrorCodes.TYPE_MISMATCH,
+                `Expected ${options.expectedType} signal, got ${signal.type}`,
+                { expected: options.expectedType, actual: signal.type }
+            );
+        }
+
+        return signal;
+    }
+
+    /**
+     * Pick the version to answer a remote signal with
+     */
+    function negotiate(remoteSignal) {
+        return Math.max(MIN_VERSION, Math.min(VERSION, remoteSignal.maxVersion || remoteSignal.version));
+    }
+
+    return {
+        VERSION,
+        MIN_VERSION,
+        ErrorCodes,
+        CodecError,
+        encode,
+        decode,
+        negotiate,
+        crc32
+    };
+
+})();
@@ -0,0 +1,83 @@
+/**
+ * BeaconMesh Service Worker
+ * Precaches the app shell and vendored libraries so BeaconMesh starts
+ * with no network at all. Bump CACHE_VERSION whenever a precached file
+ * changes; open tabs are then offered the new version (see app.js).
+ */
+
+const CACHE_VERSION = 'beaconmesh-v2.0.20';
+const RUNTIME_CACHE = 'beaconmesh-runtime';
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'styles.css',
+    'codec.js',
+    'app.js',
+    'manifest.webmanifest',
+    'vendor/tailwind.css',
+    'vendor/qrcode.min.js',
+    'vendor/html5-qrcode.min.js',
+    'vendor/pako.min.js',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+self.addEventListener('install', (event) => {
+    // Wait for the page to ask before taking over, so a session isn't
+    // swapped onto new code mid-conversation
+    event.waitUntil(
+        caches.open(CACHE_VERSION).then(cache => cache.addAll(PRECACHE_URLS))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key !== CACHE_VERSION && key !== RUNTIME_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    
+    const url = new URL(request.url);
+    
+    // App shell: cache first, pages fall back to the cached index
+    if (url.origin === self.location.origin) {
+        event.respondWith(
+            caches.match(request, { ignoreSearch: true }).then(cached => {
+                if (cached) return cached;
+                return fetch(request).catch(() => {
+                    if (request.mode === 'navigate') return caches.match('index.html');
+                    return Response.error();
+                });
+            })
+        );
+        return;
+    }
+    
+    // Web fonts and other extras: use the network when it's there and
+    // keep a copy for offline starts
+    event.respondWith(
+        caches.open(RUNTIME_CACHE).then(cache =>
+            fetch(request)
+                .then(response => {
+                    cache.put(request, response.clone());
+                    return response;
+                })
+                .catch(() => cache.match(request).then(cached => cached || Response.error()))
+        )
+    );
+});
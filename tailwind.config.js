@@ -0,0 +1,23 @@
+// Builds vendor/tailwind.css, so the app needs no CDN to start:
+//   npx tailwindcss@3 -c tailwind.config.js -o vendor/tailwind.css --minify
+module.exports = {
+    content: ['./index.html', './app.js'],
+    theme: {
+        extend: {
+            colors: {
+                'neon': '#00ff41',
+                'neon-dim': '#00cc33',
+                'neon-dark': '#009922',
+                'cyber-blue': '#00d4ff',
+                'cyber-purple': '#bf00ff',
+                'tactical': '#050505',
+                'tactical-light': '#0d0d0d',
+                'tactical-medium': '#1a1a1a',
+            },
+            fontFamily: {
+                'mono': ['JetBrains Mono', 'monospace'],
+                'display': ['Orbitron', 'sans-serif'],
+            }
+        }
+    }
+}